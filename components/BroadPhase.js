@@ -0,0 +1,126 @@
+// Broad phase: cheaply narrows all body pairs down to candidates whose bounding boxes
+// overlap, so collide() only runs on pairs that can actually touch. Every broad phase
+// returns pairs as [a, b] with a before b in the bodies array, sorted by that order,
+// so contacts are resolved in the same order whichever one is used.
+
+// World-space bounds for a body, or null when it has no collider
+const getBodyBounds = (obj) => {
+    return obj.collider ? obj.collider.getBounds(obj) : null;
+};
+
+const boundsOverlap = (a, b) => {
+    return a.minX <= b.maxX && a.maxX >= b.minX && a.minY <= b.maxY && a.maxY >= b.minY;
+};
+
+// Put pairs of body indices back into brute-force order and map them to bodies
+const toSortedPairs = (indexPairs, bodies) => {
+    indexPairs.sort((p, q) => p[0] - q[0] || p[1] - q[1]);
+    return indexPairs.map(([i, j]) => [bodies[i], bodies[j]]);
+};
+
+// Every pair, no culling: the O(n^2) reference to compare the others against
+class BruteForceBroadPhase {
+    name = 'brute';
+
+    getPairs(bodies) {
+        const pairs = [];
+        for (let i = 0; i < bodies.length; i++) {
+            if (!bodies[i].collider) continue;
+            for (let j = i + 1; j < bodies.length; j++) {
+                if (!bodies[j].collider) continue;
+                pairs.push([bodies[i], bodies[j]]);
+            }
+        }
+        return pairs;
+    }
+}
+
+// Sweep and prune: sort bounds along x, then only compare bodies whose x-intervals overlap
+class SweepAndPruneBroadPhase {
+    name = 'sap';
+
+    getPairs(bodies) {
+        const entries = [];
+        bodies.forEach((obj, index) => {
+            const bounds = getBodyBounds(obj);
+            if (bounds) entries.push({ index, bounds });
+        });
+        entries.sort((p, q) => p.bounds.minX - q.bounds.minX);
+
+        const indexPairs = [];
+        for (let i = 0; i < entries.length; i++) {
+            const a = entries[i];
+            for (let j = i + 1; j < entries.length; j++) {
+                const b = entries[j];
+                // Sorted by minX: once b starts past a's right edge, so does everything after it
+                if (b.bounds.minX > a.bounds.maxX) break;
+                if (boundsOverlap(a.bounds, b.bounds)) {
+                    indexPairs.push(a.index < b.index ? [a.index, b.index] : [b.index, a.index]);
+                }
+            }
+        }
+        return toSortedPairs(indexPairs, bodies);
+    }
+}
+
+// Uniform spatial hash: bodies are binned into square cells and only share-a-cell pairs are tested
+class SpatialHashBroadPhase {
+    name = 'grid';
+
+    constructor(cellSize = 64)
+    {
+        this.cellSize = cellSize;
+    }
+
+    getPairs(bodies) {
+        const cells = new Map();
+        const allBounds = bodies.map(getBodyBounds);
+        allBounds.forEach((bounds, index) => {
+            if (!bounds) return;
+            const minCol = Math.floor(bounds.minX / this.cellSize);
+            const maxCol = Math.floor(bounds.maxX / this.cellSize);
+            const minRow = Math.floor(bounds.minY / this.cellSize);
+            const maxRow = Math.floor(bounds.maxY / this.cellSize);
+            for (let col = minCol; col <= maxCol; col++) {
+                for (let row = minRow; row <= maxRow; row++) {
+                    const key = `${col},${row}`;
+                    if (!cells.has(key)) cells.set(key, []);
+                    cells.get(key).push(index);
+                }
+            }
+        });
+
+        // Bodies sharing several cells must only be reported once
+        const seen = new Set();
+        const indexPairs = [];
+        for (const members of cells.values()) {
+            for (let i = 0; i < members.length; i++) {
+                for (let j = i + 1; j < members.length; j++) {
+                    const a = Math.min(members[i], members[j]);
+                    const b = Math.max(members[i], members[j]);
+                    const key = a * bodies.length + b;
+                    if (seen.has(key)) continue;
+                    seen.add(key);
+                    if (boundsOverlap(allBounds[a], allBounds[b])) indexPairs.push([a, b]);
+                }
+            }
+        }
+        return toSortedPairs(indexPairs, bodies);
+    }
+}
+
+// Build a broad phase from its short name: 'brute', 'sap' or 'grid'
+const createBroadPhase = (name = 'sap', options = {}) => {
+    switch (name) {
+        case 'brute':
+            return new BruteForceBroadPhase();
+        case 'sap':
+            return new SweepAndPruneBroadPhase();
+        case 'grid':
+            return new SpatialHashBroadPhase(options.cellSize);
+        default:
+            throw new Error(`Unknown broad phase: ${name}`);
+    }
+};
+
+export { BruteForceBroadPhase, SweepAndPruneBroadPhase, SpatialHashBroadPhase, createBroadPhase };
@@ -0,0 +1,185 @@
+import { PPM } from './World.js';
+import { niceStep, formatTick } from './Graphs.js';
+
+// View of the world on the canvas: which world point is at the center of the screen and how
+// far it is zoomed in (screen pixels per world pixel). It can pan, zoom about a point and
+// follow a body, and draws a metric grid and rulers. Rulers measure x from the left edge of
+// the world bounds and y up from the ground, in meters, like the graphs. DOM-free.
+
+const MIN_ZOOM = 0.05;
+const MAX_ZOOM = 20;
+const FIT_MARGIN = 40; // screen pixels left around the world by fit()
+const GRID_SPACING = 80; // rough screen pixels between grid lines
+const RULER_SIZE = 20; // screen pixels
+
+class Camera {
+    x = 400; // world point at the center of the screen
+    y = 300;
+    zoom = 1; // screen pixels per world pixel
+    viewport = { width: 800, height: 600 }; // screen size in pixels
+    follow = null; // body kept at the center, or null
+
+    setViewport(width, height) {
+        this.viewport = { width, height };
+    }
+
+    toScreen(point) {
+        return {
+            x: (point.x - this.x) * this.zoom + this.viewport.width / 2,
+            y: (point.y - this.y) * this.zoom + this.viewport.height / 2
+        };
+    }
+
+    toWorld(point) {
+        return {
+            x: (point.x - this.viewport.width / 2) / this.zoom + this.x,
+            y: (point.y - this.viewport.height / 2) / this.zoom + this.y
+        };
+    }
+
+    // World rectangle currently on screen
+    getVisibleBounds() {
+        const topLeft = this.toWorld({ x: 0, y: 0 });
+        const bottomRight = this.toWorld({ x: this.viewport.width, y: this.viewport.height });
+        return { minX: topLeft.x, minY: topLeft.y, maxX: bottomRight.x, maxY: bottomRight.y };
+    }
+
+    // Move the view by a drag of dx, dy screen pixels; panning stops following
+    pan(dx, dy) {
+        this.follow = null;
+        this.x -= dx / this.zoom;
+        this.y -= dy / this.zoom;
+    }
+
+    // Zoom by factor keeping the world point under the given screen point where it is
+    zoomAt(screenPoint, factor) {
+        const anchor = this.toWorld(screenPoint);
+        this.zoom = Math.min(Math.max(this.zoom * factor, MIN_ZOOM), MAX_ZOOM);
+        const moved = this.toWorld(screenPoint);
+        // A followed body stays centered, so zooming can't shift the view
+        if (this.follow) return;
+        this.x += anchor.x - moved.x;
+        this.y += anchor.y - moved.y;
+    }
+
+    // Show the whole of the world bounds
+    fit(bounds) {
+        const width = Math.max(this.viewport.width - 2 * FIT_MARGIN, 1);
+        const height = Math.max(this.viewport.height - 2 * FIT_MARGIN, 1);
+        this.zoom = Math.min(Math.max(Math.min(width / bounds.width, height / bounds.height), MIN_ZOOM), MAX_ZOOM);
+        this.x = bounds.width / 2;
+        this.y = bounds.height / 2;
+    }
+
+    // Center on the followed body at its interpolated pose
+    update(world, alpha = 1) {
+        if (!this.follow) return;
+        if (!world.bodies.includes(this.follow)) {
+            this.follow = null;
+            return;
+        }
+        const pose = world.getInterpolatedPose(this.follow, alpha);
+        const center = this.follow.getCenter();
+        this.x = center.x + pose.x - this.follow.x;
+        this.y = center.y + pose.y - this.follow.y;
+    }
+
+    // Follow the followed body into a rebuilt world, matching it by name
+    rebind(world) {
+        const name = this.follow?.name;
+        this.follow = name ? world.bodies.find(obj => obj.name === name) || null : null;
+    }
+
+    // Switch ctx from screen to world coordinates
+    apply(ctx) {
+        ctx.transform(
+            this.zoom, 0, 0, this.zoom,
+            this.viewport.width / 2 - this.x * this.zoom,
+            this.viewport.height / 2 - this.y * this.zoom
+        );
+    }
+
+    // Grid step in meters for the current zoom
+    getGridStep() {
+        return niceStep(this.viewport.width / this.zoom / PPM, this.viewport.width / GRID_SPACING);
+    }
+
+    // Metric grid over the whole screen, in screen coordinates; axes through the world origin
+    // (left edge of the bounds, ground level) are drawn brighter
+    drawGrid(ctx, world) {
+        const step = this.getGridStep();
+        const visible = this.getVisibleBounds();
+        const ground = world.bounds.height;
+        ctx.save();
+        ctx.lineWidth = 1;
+        for (let meters = Math.ceil(visible.minX / PPM / step) * step; meters * PPM <= visible.maxX; meters += step) {
+            const x = Math.round(this.toScreen({ x: meters * PPM, y: 0 }).x) + 0.5;
+            ctx.strokeStyle = Math.abs(meters) < step / 2 ? '#444444' : '#1c1c1c';
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, this.viewport.height);
+            ctx.stroke();
+        }
+        // Heights count up from the ground
+        for (let meters = Math.ceil((ground - visible.maxY) / PPM / step) * step; ground - meters * PPM >= visible.minY; meters += step) {
+            const y = Math.round(this.toScreen({ x: 0, y: ground - meters * PPM }).y) + 0.5;
+            ctx.strokeStyle = Math.abs(meters) < step / 2 ? '#444444' : '#1c1c1c';
+            ctx.beginPath();
+            ctx.moveTo(0, y);
+            ctx.lineTo(this.viewport.width, y);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+
+    // Rulers along the top and left edges of the screen, labelled in meters
+    drawRulers(ctx, world) {
+        const step = this.getGridStep();
+        const visible = this.getVisibleBounds();
+        const ground = world.bounds.height;
+        const { width, height } = this.viewport;
+        ctx.save();
+        ctx.fillStyle = 'rgba(30, 30, 30, 0.9)';
+        ctx.fillRect(0, 0, width, RULER_SIZE);
+        ctx.fillRect(0, 0, RULER_SIZE, height);
+        ctx.strokeStyle = '#888888';
+        ctx.fillStyle = '#cccccc';
+        ctx.font = '10px sans-serif';
+        ctx.lineWidth = 1;
+
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        for (let meters = Math.ceil(visible.minX / PPM / step) * step; meters * PPM <= visible.maxX; meters += step) {
+            const x = Math.round(this.toScreen({ x: meters * PPM, y: 0 }).x) + 0.5;
+            if (x < RULER_SIZE) continue;
+            ctx.beginPath();
+            ctx.moveTo(x, RULER_SIZE - 6);
+            ctx.lineTo(x, RULER_SIZE);
+            ctx.stroke();
+            ctx.fillText(formatTick(meters, step), x + 2, 2);
+        }
+
+        ctx.textBaseline = 'middle';
+        for (let meters = Math.ceil((ground - visible.maxY) / PPM / step) * step; ground - meters * PPM >= visible.minY; meters += step) {
+            const y = Math.round(this.toScreen({ x: 0, y: ground - meters * PPM }).y) + 0.5;
+            if (y < RULER_SIZE) continue;
+            ctx.beginPath();
+            ctx.moveTo(RULER_SIZE - 6, y);
+            ctx.lineTo(RULER_SIZE, y);
+            ctx.stroke();
+            // Written sideways to fit the narrow ruler
+            ctx.save();
+            ctx.translate(RULER_SIZE / 2 - 2, y);
+            ctx.rotate(-Math.PI / 2);
+            ctx.textAlign = 'center';
+            ctx.fillText(formatTick(meters, step), 0, 0);
+            ctx.restore();
+        }
+        ctx.fillStyle = '#ffffff';
+        ctx.textAlign = 'center';
+        ctx.fillText('m', RULER_SIZE / 2, RULER_SIZE / 2);
+        ctx.restore();
+    }
+}
+
+export { Camera };
@@ -1,15 +1,65 @@
+// Rotate (x, y) around (pivotX, pivotY) by angle radians (clockwise on the canvas)
+const rotatePoint = (x, y, pivotX, pivotY, angle) => {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const dx = x - pivotX;
+    const dy = y - pivotY;
+    return { x: pivotX + dx * cos - dy * sin, y: pivotY + dx * sin + dy * cos };
+};
+
 // Collider base class
 class Collider {
     constructor(type) {
         this.type = type;
+        this.sensor = false; // reports overlaps as collision events without pushing anything
+    }
+    // Center of mass relative to the GameObject position (override in subclasses)
+    getCentroid() {
+        throw new Error('getCentroid not implemented');
+    }
+    // Moment of inertia about the centroid for a given mass (override in subclasses)
+    getMomentOfInertia(mass) {
+        throw new Error('getMomentOfInertia not implemented');
+    }
+    // Area of the shape in square pixels (override in subclasses)
+    getArea() {
+        throw new Error('getArea not implemented');
     }
-    // Override in subclasses
-    isCollidingWith(other, selfObj, otherObj) {
-        throw new Error('isCollidingWith not implemented');
+    // Center of mass in world coordinates
+    getCenter(obj) {
+        const c = this.getCentroid();
+        return { x: obj.x + c.x, y: obj.y + c.y };
+    }
+    // Whether the world point lies inside the rotated shape
+    containsPoint(obj, point) {
+        return Collider.pointInConvexPolygon(point.x, point.y, this.getWorldVertices(obj));
+    }
+    // World-space axis-aligned bounds of the rotated shape
+    getBounds(obj) {
+        const verts = this.getWorldVertices(obj);
+        return {
+            minX: Math.min(...verts.map(v => v.x)),
+            minY: Math.min(...verts.map(v => v.y)),
+            maxX: Math.max(...verts.map(v => v.x)),
+            maxY: Math.max(...verts.map(v => v.y))
+        };
+    }
+    // Helper: point in convex polygon (either winding), edges count as inside
+    static pointInConvexPolygon(px, py, verts) {
+        let sign = 0;
+        for (let i = 0; i < verts.length; i++) {
+            const v1 = verts[i];
+            const v2 = verts[(i + 1) % verts.length];
+            const cross = (v2.x - v1.x) * (py - v1.y) - (v2.y - v1.y) * (px - v1.x);
+            if (cross === 0) continue;
+            if (sign === 0) sign = Math.sign(cross);
+            else if (Math.sign(cross) !== sign) return false;
+        }
+        return true;
     }
 }
 
-// Rectangle (AABB) collider
+// Rectangle collider, rotated with its GameObject around the box center
 class BoxCollider extends Collider {
     constructor(offsetX = 0, offsetY = 0, width = 30, height = 30) {
         super('box');
@@ -18,40 +68,27 @@ class BoxCollider extends Collider {
         this.width = width;
         this.height = height;
     }
-    // AABB vs AABB or AABB vs Circle or AABB vs Triangle
-    isCollidingWith(other, selfObj, otherObj) {
-        if (other.type === 'box') {
-            const a = this;
-            const b = other;
-            const ax = selfObj.x + a.offsetX;
-            const ay = selfObj.y + a.offsetY;
-            const bx = otherObj.x + b.offsetX;
-            const by = otherObj.y + b.offsetY;
-            return (
-                ax < bx + b.width &&
-                ax + a.width > bx &&
-                ay < by + b.height &&
-                ay + a.height > by
-            );
-        } else if (other.type === 'circle') {
-            // Box vs Circle
-            const rect = this;
-            const circle = other;
-            const rx = selfObj.x + rect.offsetX;
-            const ry = selfObj.y + rect.offsetY;
-            const cx = otherObj.x + circle.offsetX + circle.radius;
-            const cy = otherObj.y + circle.offsetY + circle.radius;
-            // Find closest point on rect to circle center
-            const closestX = Math.max(rx, Math.min(cx, rx + rect.width));
-            const closestY = Math.max(ry, Math.min(cy, ry + rect.height));
-            const dx = cx - closestX;
-            const dy = cy - closestY;
-            return (dx * dx + dy * dy) < (circle.radius * circle.radius);
-        } else if (other.type === 'triangle') {
-            // Box vs Triangle (simple approach: check if any triangle vertex is in box or box corner in triangle)
-            return other.isCollidingWith(this, otherObj, selfObj);
-        }
-        return false;
+    getCentroid() {
+        return { x: this.offsetX + this.width / 2, y: this.offsetY + this.height / 2 };
+    }
+    getMomentOfInertia(mass) {
+        return mass * (this.width * this.width + this.height * this.height) / 12;
+    }
+    getArea() {
+        return this.width * this.height;
+    }
+    // Corners in world space, rotated around the center by the object's rotation
+    getWorldVertices(obj) {
+        const x = obj.x + this.offsetX;
+        const y = obj.y + this.offsetY;
+        const center = this.getCenter(obj);
+        const angle = obj.rotation || 0;
+        return [
+            { x, y },
+            { x: x + this.width, y },
+            { x: x + this.width, y: y + this.height },
+            { x, y: y + this.height }
+        ].map(p => rotatePoint(p.x, p.y, center.x, center.y, angle));
     }
 }
 
@@ -63,264 +100,115 @@ class CircleCollider extends Collider {
         this.offsetY = offsetY;
         this.radius = radius;
     }
-    // Circle vs Circle or Circle vs Box or Circle vs Triangle
-    isCollidingWith(other, selfObj, otherObj) {
-        if (other.type === 'circle') {
-            const a = this;
-            const b = other;
-            const ax = selfObj.x + a.offsetX + a.radius;
-            const ay = selfObj.y + a.offsetY + a.radius;
-            const bx = otherObj.x + b.offsetX + b.radius;
-            const by = otherObj.y + b.offsetY + b.radius;
-            const dx = ax - bx;
-            const dy = ay - by;
-            const rSum = a.radius + b.radius;
-            return (dx * dx + dy * dy) < (rSum * rSum);
-        } else if (other.type === 'box') {
-            // Delegate to box's logic
-            return other.isCollidingWith(this, otherObj, selfObj);
-        } else if (other.type === 'triangle') {
-            // Circle vs Triangle collision
-            const cx = selfObj.x + this.offsetX + this.radius;
-            const cy = selfObj.y + this.offsetY + this.radius;
-            
-            // Get world vertices for triangle
-            const verts = other.vertices.map(v => ({
-                x: otherObj.x + other.offsetX + v.x,
-                y: otherObj.y + other.offsetY + v.y
-            }));
-            
-            // Check if circle center is inside triangle
-            if (TriangleCollider.pointInTriangle(cx, cy, ...verts)) {
-                return true;
-            }
-            
-            // Check if circle intersects with any triangle edge
-            for (let i = 0; i < 3; i++) {
-                const v1 = verts[i];
-                const v2 = verts[(i + 1) % 3];
-                
-                // Vector from v1 to v2
-                const edge = {
-                    x: v2.x - v1.x,
-                    y: v2.y - v1.y
-                };
-                
-                // Vector from v1 to circle center
-                const toCircle = {
-                    x: cx - v1.x,
-                    y: cy - v1.y
-                };
-                
-                // Project circle center onto edge
-                const edgeLength = Math.hypot(edge.x, edge.y);
-                const edgeUnit = {
-                    x: edge.x / edgeLength,
-                    y: edge.y / edgeLength
-                };
-                
-                const projection = toCircle.x * edgeUnit.x + toCircle.y * edgeUnit.y;
-                const projectionClamped = Math.max(0, Math.min(projection, edgeLength));
-                
-                // Closest point on edge to circle center
-                const closestPoint = {
-                    x: v1.x + edgeUnit.x * projectionClamped,
-                    y: v1.y + edgeUnit.y * projectionClamped
-                };
-                
-                // Check distance from closest point to circle center
-                const dx = cx - closestPoint.x;
-                const dy = cy - closestPoint.y;
-                const distanceSquared = dx * dx + dy * dy;
-                
-                if (distanceSquared < this.radius * this.radius) {
-                    return true;
-                }
-            }
-            return false;
-        }
-        return false;
+    getCentroid() {
+        return { x: this.offsetX + this.radius, y: this.offsetY + this.radius };
+    }
+    // Solid disc
+    getMomentOfInertia(mass) {
+        return mass * this.radius * this.radius / 2;
+    }
+    getArea() {
+        return Math.PI * this.radius * this.radius;
+    }
+    getBounds(obj) {
+        const { x, y } = this.getCenter(obj);
+        return { minX: x - this.radius, minY: y - this.radius, maxX: x + this.radius, maxY: y + this.radius };
+    }
+    containsPoint(obj, point) {
+        const { x, y } = this.getCenter(obj);
+        return Math.hypot(point.x - x, point.y - y) <= this.radius;
     }
 }
 
-// Triangle collider (vertices are relative to GameObject position)
-class TriangleCollider extends Collider {
-    constructor(vertices = [{x:0,y:0},{x:30,y:0},{x:15,y:30}], offsetX = 0, offsetY = 0) {
-        super('triangle');
-        this.vertices = vertices; // Array of 3 points: [{x, y}, ...]
+// Convex polygon collider (vertices are relative to GameObject position)
+class PolygonCollider extends Collider {
+    constructor(vertices, offsetX = 0, offsetY = 0) {
+        super('polygon');
+        if (!Array.isArray(vertices) || vertices.length < 3) {
+            throw new Error('PolygonCollider needs at least 3 vertices');
+        }
+        if (!PolygonCollider.isConvex(vertices)) {
+            throw new Error('PolygonCollider vertices must form a convex polygon');
+        }
+        this.vertices = vertices; // Array of points: [{x, y}, ...], either winding
         this.offsetX = offsetX;
         this.offsetY = offsetY;
     }
-    // Helper: point in triangle
-    static pointInTriangle(px, py, v0, v1, v2) {
-        const dX = px - v2.x;
-        const dY = py - v2.y;
-        const dX21 = v2.x - v1.x;
-        const dY12 = v1.y - v2.y;
-        const D = dY12 * (v0.x - v2.x) + dX21 * (v0.y - v2.y);
-        const s = dY12 * dX + dX21 * dY;
-        const t = (v2.y - v0.y) * dX + (v0.x - v2.x) * dY;
-        if (D < 0) return s <= 0 && t <= 0 && s + t >= D;
-        return s >= 0 && t >= 0 && s + t <= D;
+    // Helper: every turn along the outline bends the same way
+    static isConvex(vertices) {
+        let sign = 0;
+        for (let i = 0; i < vertices.length; i++) {
+            const v0 = vertices[i];
+            const v1 = vertices[(i + 1) % vertices.length];
+            const v2 = vertices[(i + 2) % vertices.length];
+            const cross = (v1.x - v0.x) * (v2.y - v1.y) - (v1.y - v0.y) * (v2.x - v1.x);
+            if (cross === 0) continue;
+            if (sign === 0) sign = Math.sign(cross);
+            else if (Math.sign(cross) !== sign) return false;
+        }
+        return sign !== 0;
     }
-    // Triangle vs Triangle, Box, Circle
-    isCollidingWith(other, selfObj, otherObj) {
-        // Get world vertices for this triangle
-        const vertsA = this.vertices.map(v => ({
-            x: selfObj.x + this.offsetX + v.x,
-            y: selfObj.y + this.offsetY + v.y
-        }));
-        if (other.type === 'triangle') {
-            const vertsB = other.vertices.map(v => ({
-                x: otherObj.x + other.offsetX + v.x,
-                y: otherObj.y + other.offsetY + v.y
-            }));
-            // Check if any vertex of A in B or B in A
-            for (const va of vertsA) {
-                if (TriangleCollider.pointInTriangle(va.x, va.y, ...vertsB)) return true;
-            }
-            for (const vb of vertsB) {
-                if (TriangleCollider.pointInTriangle(vb.x, vb.y, ...vertsA)) return true;
-            }
-            return false;
-        } else if (other.type === 'box') {
-            // Check if any triangle vertex is in box
-            const bx = otherObj.x + other.offsetX;
-            const by = otherObj.y + other.offsetY;
-            for (const va of vertsA) {
-                if (
-                    va.x >= bx && va.x <= bx + other.width &&
-                    va.y >= by && va.y <= by + other.height
-                ) return true;
-            }
-            // Or if any box corner is in triangle
-            const boxCorners = [
-                {x: bx, y: by},
-                {x: bx + other.width, y: by},
-                {x: bx, y: by + other.height},
-                {x: bx + other.width, y: by + other.height}
-            ];
-            for (const corner of boxCorners) {
-                if (TriangleCollider.pointInTriangle(corner.x, corner.y, ...vertsA)) return true;
-            }
-            return false;
-        } else if (other.type === 'circle') {
-            // Circle vs Triangle collision
-            const cx = otherObj.x + other.offsetX + other.radius;
-            const cy = otherObj.y + other.offsetY + other.radius;
-            
-            // Get world vertices for triangle
-            const verts = this.vertices.map(v => ({
-                x: selfObj.x + this.offsetX + v.x,
-                y: selfObj.y + this.offsetY + v.y
-            }));
-            
-            // Check if circle center is inside triangle
-            if (TriangleCollider.pointInTriangle(cx, cy, ...verts)) {
-                return true;
-            }
-            
-            // Check if circle intersects with any triangle edge
-            for (let i = 0; i < 3; i++) {
-                const v1 = verts[i];
-                const v2 = verts[(i + 1) % 3];
-                
-                // Vector from v1 to v2
-                const edge = {
-                    x: v2.x - v1.x,
-                    y: v2.y - v1.y
-                };
-                
-                // Vector from v1 to circle center
-                const toCircle = {
-                    x: cx - v1.x,
-                    y: cy - v1.y
-                };
-                
-                // Project circle center onto edge
-                const edgeLength = Math.hypot(edge.x, edge.y);
-                const edgeUnit = {
-                    x: edge.x / edgeLength,
-                    y: edge.y / edgeLength
-                };
-                
-                const projection = toCircle.x * edgeUnit.x + toCircle.y * edgeUnit.y;
-                const projectionClamped = Math.max(0, Math.min(projection, edgeLength));
-                
-                // Closest point on edge to circle center
-                const closestPoint = {
-                    x: v1.x + edgeUnit.x * projectionClamped,
-                    y: v1.y + edgeUnit.y * projectionClamped
-                };
-                
-                // Check distance from closest point to circle center
-                const dx = cx - closestPoint.x;
-                const dy = cy - closestPoint.y;
-                const distanceSquared = dx * dx + dy * dy;
-                
-                if (distanceSquared < other.radius * other.radius) {
-                    return true;
-                }
-            }
-            return false;
+    // Area-weighted centroid
+    getCentroid() {
+        let area = 0;
+        let cx = 0;
+        let cy = 0;
+        for (let i = 0; i < this.vertices.length; i++) {
+            const v1 = this.vertices[i];
+            const v2 = this.vertices[(i + 1) % this.vertices.length];
+            const cross = v1.x * v2.y - v2.x * v1.y;
+            area += cross;
+            cx += (v1.x + v2.x) * cross;
+            cy += (v1.y + v2.y) * cross;
         }
-        return false;
+        return { x: this.offsetX + cx / (3 * area), y: this.offsetY + cy / (3 * area) };
     }
-    getClosestSurfaceNormal(point, selfObj) {
-        // Get world vertices
-        const verts = this.vertices.map(v => ({
-            x: selfObj.x + this.offsetX + v.x,
-            y: selfObj.y + this.offsetY + v.y
-        }));
-        let minDist = Infinity;
-        let closestNormal = {x: 0, y: 0};
-        for (let i = 0; i < 3; i++) {
-            const v1 = verts[i];
-            const v2 = verts[(i + 1) % 3];
-            // Edge vector
-            const edge = {x: v2.x - v1.x, y: v2.y - v1.y};
-            // Outward normal (perpendicular)
-            const normal = {x: edge.y, y: -edge.x};
-            // Normalize
-            const len = Math.hypot(normal.x, normal.y);
-            normal.x /= len;
-            normal.y /= len;
-            // Distance from point to edge (project point onto normal)
-            const px = point.x - v1.x;
-            const py = point.y - v1.y;
-            const dist = px * normal.x + py * normal.y;
-            if (Math.abs(dist) < Math.abs(minDist)) {
-                minDist = dist;
-                closestNormal = normal;
-            }
+    // Shoelace formula, for either winding
+    getArea() {
+        let area = 0;
+        for (let i = 0; i < this.vertices.length; i++) {
+            const v1 = this.vertices[i];
+            const v2 = this.vertices[(i + 1) % this.vertices.length];
+            area += v1.x * v2.y - v2.x * v1.y;
         }
-        return closestNormal;
+        return Math.abs(area) / 2;
     }
-    getPenetrationInfo(point, selfObj) {
-        const verts = this.vertices.map(v => ({
-            x: selfObj.x + this.offsetX + v.x,
-            y: selfObj.y + this.offsetY + v.y
-        }));
-        let minDist = Infinity;
-        let closestNormal = {x: 0, y: 0};
-        for (let i = 0; i < 3; i++) {
+    // Uniform density polygon, about the centroid
+    getMomentOfInertia(mass) {
+        const c = this.getCentroid();
+        const verts = this.vertices.map(v => ({ x: this.offsetX + v.x - c.x, y: this.offsetY + v.y - c.y }));
+        let numerator = 0;
+        let denominator = 0;
+        for (let i = 0; i < verts.length; i++) {
             const v1 = verts[i];
-            const v2 = verts[(i + 1) % 3];
-            const edge = {x: v2.x - v1.x, y: v2.y - v1.y};
-            const normal = {x: edge.y, y: -edge.x};
-            const len = Math.hypot(normal.x, normal.y);
-            normal.x /= len;
-            normal.y /= len;
-            const px = point.x - v1.x;
-            const py = point.y - v1.y;
-            const dist = px * normal.x + py * normal.y;
-            if (dist < minDist) {
-                minDist = dist;
-                closestNormal = normal;
-            }
+            const v2 = verts[(i + 1) % verts.length];
+            const cross = Math.abs(v1.x * v2.y - v2.x * v1.y);
+            numerator += cross * (v1.x * v1.x + v1.y * v1.y + v1.x * v2.x + v1.y * v2.y + v2.x * v2.x + v2.y * v2.y);
+            denominator += cross;
+        }
+        return mass * numerator / (6 * denominator);
+    }
+    // Vertices in world space, rotated around the centroid by the object's rotation
+    getWorldVertices(obj) {
+        const center = this.getCenter(obj);
+        const angle = obj.rotation || 0;
+        return this.vertices.map(v => rotatePoint(
+            obj.x + this.offsetX + v.x,
+            obj.y + this.offsetY + v.y,
+            center.x, center.y, angle
+        ));
+    }
+}
+
+// Triangle collider (vertices are relative to GameObject position)
+class TriangleCollider extends PolygonCollider {
+    constructor(vertices = [{x:0,y:0},{x:30,y:0},{x:15,y:30}], offsetX = 0, offsetY = 0) {
+        super(vertices, offsetX, offsetY);
+        if (vertices.length !== 3) {
+            throw new Error('TriangleCollider needs exactly 3 vertices');
         }
-        return { normal: closestNormal, depth: -minDist };
+        this.type = 'triangle';
     }
 }
 
-export { Collider, BoxCollider, CircleCollider, TriangleCollider }; 
\ No newline at end of file
+export { Collider, BoxCollider, CircleCollider, PolygonCollider, TriangleCollider };
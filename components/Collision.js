@@ -0,0 +1,233 @@
+import { Collider } from './Collider.js';
+
+// Contact manifolds: every colliding pair is described the same way,
+//   { normal: { x, y }, depth, points: [{ x, y }, ...] }
+// with the unit normal pointing from the first object towards the second, depth the
+// penetration along that normal and points the world-space contact points. collide(a, b)
+// is the single entry point; new collider types plug in with registerCollisionHandler.
+
+const CONTACT_MARGIN = 1; // Face contact points this close (in pixels) to touching already count
+
+// Helper: Closest point on segment
+function closestPointOnSegment(px, py, ax, ay, bx, by) {
+    const abx = bx - ax;
+    const aby = by - ay;
+    const apx = px - ax;
+    const apy = py - ay;
+    const abLenSq = abx * abx + aby * aby;
+    let t = (apx * abx + apy * aby) / abLenSq;
+    t = Math.max(0, Math.min(1, t));
+    return { x: ax + abx * t, y: ay + aby * t };
+}
+
+// Closest point on a polygon's outline (ignores whether the point is inside)
+function closestPointOnPolygonEdges(px, py, verts) {
+    let closest = null;
+    let minDistSq = Infinity;
+    for (let i = 0; i < verts.length; i++) {
+        const v1 = verts[i];
+        const v2 = verts[(i + 1) % verts.length];
+        const pt = closestPointOnSegment(px, py, v1.x, v1.y, v2.x, v2.y);
+        const dx = px - pt.x;
+        const dy = py - pt.y;
+        const distSq = dx * dx + dy * dy;
+        if (distSq < minDistSq) {
+            minDistSq = distSq;
+            closest = pt;
+        }
+    }
+    return closest;
+}
+
+// Circle vs circle: normal along the line between the centers
+function circleCircleManifold(a, b) {
+    const ca = a.getCenter();
+    const cb = b.getCenter();
+    const dx = cb.x - ca.x;
+    const dy = cb.y - ca.y;
+    const dist = Math.hypot(dx, dy);
+    const depth = a.collider.radius + b.collider.radius - dist;
+    if (depth <= 0) return null;
+    // Coincident centers: pick an arbitrary axis
+    const normal = dist === 0 ? { x: 0, y: 1 } : { x: dx / dist, y: dy / dist };
+    const point = { x: ca.x + normal.x * a.collider.radius, y: ca.y + normal.y * a.collider.radius };
+    return { normal, depth, points: [point] };
+}
+
+// Polygon (box, triangle, polygon) vs circle: normal points from the polygon towards the circle
+function polygonCircleManifold(polygon, circle) {
+    const verts = polygon.collider.getWorldVertices(polygon);
+    const { x: cx, y: cy } = circle.getCenter();
+    const radius = circle.collider.radius;
+    const closest = closestPointOnPolygonEdges(cx, cy, verts);
+    const dx = cx - closest.x;
+    const dy = cy - closest.y;
+    const dist = Math.hypot(dx, dy);
+    if (Collider.pointInConvexPolygon(cx, cy, verts)) {
+        // Center is inside: push out through the nearest edge
+        if (dist === 0) return null;
+        return { normal: { x: -dx / dist, y: -dy / dist }, depth: radius + dist, points: [closest] };
+    }
+    const depth = radius - dist;
+    if (depth <= 0) return null;
+    return { normal: { x: dx / dist, y: dy / dist }, depth, points: [closest] };
+}
+
+// Project polygon vertices onto an axis
+function projectVertices(verts, ax, ay) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const v of verts) {
+        const d = v.x * ax + v.y * ay;
+        if (d < min) min = d;
+        if (d > max) max = d;
+    }
+    return { min, max };
+}
+
+// Outward unit normals of a convex polygon's edges (edge i runs from vertex i to i + 1),
+// whichever way its vertices wind
+function edgeNormals(verts) {
+    const cx = verts.reduce((sum, v) => sum + v.x, 0) / verts.length;
+    const cy = verts.reduce((sum, v) => sum + v.y, 0) / verts.length;
+    return verts.map((v1, i) => {
+        const v2 = verts[(i + 1) % verts.length];
+        const len = Math.hypot(v2.x - v1.x, v2.y - v1.y);
+        if (len === 0) return null;
+        const normal = { x: (v2.y - v1.y) / len, y: -(v2.x - v1.x) / len };
+        if (normal.x * (v1.x - cx) + normal.y * (v1.y - cy) < 0) {
+            normal.x = -normal.x;
+            normal.y = -normal.y;
+        }
+        return normal;
+    });
+}
+
+// Keep the part of segment [p1, p2] on the inner side (d <= 0) of a clipping plane, where
+// d1 and d2 are the signed distances of its ends
+function clipSegment(p1, p2, d1, d2) {
+    if (d1 <= 0 && d2 <= 0) return [p1, p2];
+    if (d1 > 0 && d2 > 0) return [];
+    const t = d1 / (d1 - d2);
+    const cut = { x: p1.x + (p2.x - p1.x) * t, y: p1.y + (p2.y - p1.y) * t };
+    return d1 <= 0 ? [p1, cut] : [cut, p2];
+}
+
+// Contact points between two overlapping convex polygons, with refNormal pointing from the
+// reference polygon towards the incident one: the reference face is the reference edge
+// facing along refNormal, the incident edge the other polygon's edge facing most against
+// it. The incident edge is clipped to the width of the reference face and its ends that
+// are within CONTACT_MARGIN of (or past) the face become the contact points, so a face
+// resting on a face gets both corners even when one of them is not quite touching yet.
+function clipContactPoints(refVerts, incVerts, refNormal) {
+    const pickEdge = (verts, compare) => {
+        const normals = edgeNormals(verts);
+        let best = -1;
+        normals.forEach((n, i) => {
+            if (!n) return;
+            const along = n.x * refNormal.x + n.y * refNormal.y;
+            if (best === -1 || compare(along, normals[best].x * refNormal.x + normals[best].y * refNormal.y)) best = i;
+        });
+        return [verts[best], verts[(best + 1) % verts.length]];
+    };
+    const [r1, r2] = pickEdge(refVerts, (along, bestAlong) => along > bestAlong);
+    const [i1, i2] = pickEdge(incVerts, (along, bestAlong) => along < bestAlong);
+
+    // Side planes of the reference face, along its tangent
+    const len = Math.hypot(r2.x - r1.x, r2.y - r1.y);
+    const tx = (r2.x - r1.x) / len;
+    const ty = (r2.y - r1.y) / len;
+    let clipped = clipSegment(i1, i2,
+        -((i1.x - r1.x) * tx + (i1.y - r1.y) * ty),
+        -((i2.x - r1.x) * tx + (i2.y - r1.y) * ty));
+    if (clipped.length === 2) {
+        clipped = clipSegment(clipped[0], clipped[1],
+            (clipped[0].x - r2.x) * tx + (clipped[0].y - r2.y) * ty,
+            (clipped[1].x - r2.x) * tx + (clipped[1].y - r2.y) * ty);
+    }
+    return clipped.filter(p => (p.x - r1.x) * refNormal.x + (p.y - r1.y) * refNormal.y <= CONTACT_MARGIN);
+}
+
+// Polygon vs polygon: the edge normal with the least overlap gives the contact normal
+// (pointing from a towards b) and depth; the contact points come from clipping the
+// incident edge against the reference face (see clipContactPoints).
+function polygonPolygonManifold(a, b) {
+    const vertsA = a.collider.getWorldVertices(a);
+    const vertsB = b.collider.getWorldVertices(b);
+    let best = null;
+    for (const verts of [vertsA, vertsB]) {
+        for (let i = 0; i < verts.length; i++) {
+            const v1 = verts[i];
+            const v2 = verts[(i + 1) % verts.length];
+            const len = Math.hypot(v2.x - v1.x, v2.y - v1.y);
+            if (len === 0) continue;
+            const ax = (v2.y - v1.y) / len;
+            const ay = -(v2.x - v1.x) / len;
+            const pa = projectVertices(vertsA, ax, ay);
+            const pb = projectVertices(vertsB, ax, ay);
+            // Depth is the shorter way to push b clear of a along the axis, not the length the
+            // projections share: they differ when one projection contains the other
+            const forward = pa.max - pb.min;
+            const backward = pb.max - pa.min;
+            const overlap = Math.min(forward, backward);
+            if (overlap <= 0) return null;
+            if (!best || overlap < best.depth) {
+                // Oriented from a to b: the way b has to move
+                const normal = forward <= backward ? { x: ax, y: ay } : { x: -ax, y: -ay };
+                best = { normal, depth: overlap, reference: verts };
+            }
+        }
+    }
+    if (!best) return null;
+    const normal = best.normal;
+    const aIsReference = best.reference === vertsA;
+    const refVerts = aIsReference ? vertsA : vertsB;
+    const refNormal = aIsReference ? normal : { x: -normal.x, y: -normal.y };
+    let points = clipContactPoints(refVerts, aIsReference ? vertsB : vertsA, refNormal);
+    // When one projection contains the other the incident face can lie past the far side of
+    // the reference polygon (the arms of a cross); pull such points back onto that side
+    const far = projectVertices(refVerts, refNormal.x, refNormal.y).min;
+    points = points.map(p => {
+        const d = p.x * refNormal.x + p.y * refNormal.y;
+        return d < far ? { x: p.x + refNormal.x * (far - d), y: p.y + refNormal.y * (far - d) } : p;
+    });
+    if (points.length === 0) {
+        // Edges cross without a clean face contact: use b's deepest vertex along the normal
+        points = [vertsB.reduce((min, v) =>
+            v.x * normal.x + v.y * normal.y < min.x * normal.x + min.y * normal.y ? v : min)];
+    }
+    return { normal, depth: best.depth, points };
+}
+
+// Handlers keyed by "typeA:typeB"; each returns a manifold or null
+const collisionHandlers = new Map();
+
+const registerCollisionHandler = (typeA, typeB, handler) => {
+    collisionHandlers.set(`${typeA}:${typeB}`, handler);
+};
+
+// Flip a manifold so its normal points the other way (from b to a instead of a to b)
+const flipManifold = (manifold) => {
+    return manifold && { ...manifold, normal: { x: -manifold.normal.x, y: -manifold.normal.y } };
+};
+
+// Contact manifold between two GameObjects, or null when they don't touch
+const collide = (a, b) => {
+    if (!a.collider || !b.collider) return null;
+    const direct = collisionHandlers.get(`${a.collider.type}:${b.collider.type}`);
+    if (direct) return direct(a, b);
+    const reverse = collisionHandlers.get(`${b.collider.type}:${a.collider.type}`);
+    if (reverse) return flipManifold(reverse(b, a));
+    return null;
+};
+
+const polygonTypes = ['box', 'triangle', 'polygon'];
+registerCollisionHandler('circle', 'circle', circleCircleManifold);
+for (const typeA of polygonTypes) {
+    registerCollisionHandler(typeA, 'circle', polygonCircleManifold);
+    for (const typeB of polygonTypes) {
+        registerCollisionHandler(typeA, typeB, polygonPolygonManifold);
+    }
+}
+
+export { collide, registerCollisionHandler, flipManifold };
@@ -0,0 +1,335 @@
+import { Collider, PolygonCollider } from './Collider.js';
+import { createCollider, sceneToPixels } from './Scene.js';
+import { validateScene } from './SceneValidation.js';
+
+// Scene editor model. It edits a scene description (see "Scene format" in the README) and
+// not live bodies. Running builds the world from that description, so it simulates exactly
+// what was built, and undo restores an earlier copy of it. Scenes in meters are converted to
+// pixels on loading. Has no knowledge of the DOM; main.js turns pointer and keyboard input
+// into calls on it.
+
+const HANDLE_RADIUS = 8; // pixels around a handle that grab it
+const ROTATE_HANDLE_DISTANCE = 25; // pixels above the top edge
+const MIN_SIZE = 5; // smallest width or height a resize leaves
+const HISTORY_LIMIT = 100; // undo steps kept
+const ROTATION_SNAP = Math.PI / 12; // 15 degrees
+const MATERIAL_FIELDS = ['density', 'restitution', 'staticFriction', 'kineticFriction']; // what a material supplies
+
+// New bodies by toolbar type
+const templates = {
+    box: () => ({
+        width: 40, height: 40, material: 'wood', color: '#00aaff',
+        collider: { type: 'box', offsetX: 0, offsetY: 0, width: 40, height: 40 }
+    }),
+    circle: () => ({
+        width: 40, height: 40, material: 'wood', color: '#ffaa00',
+        collider: { type: 'circle', offsetX: 0, offsetY: 0, radius: 20 }
+    }),
+    triangle: () => ({
+        width: 40, height: 40, material: 'wood', color: '#aa00ff',
+        collider: { type: 'triangle', offsetX: 0, offsetY: 0, vertices: [{ x: 0, y: 40 }, { x: 20, y: 0 }, { x: 40, y: 40 }] }
+    })
+};
+
+const rotate = (x, y, angle) => {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return { x: x * cos - y * sin, y: x * sin + y * cos };
+};
+
+const clone = (data) => JSON.parse(JSON.stringify(data));
+
+const getSize = (data) => ({
+    width: data.width !== undefined ? data.width : 30,
+    height: data.height !== undefined ? data.height : 30
+});
+
+// Center of mass relative to the body's top-left corner; bodies rotate around it
+const getCentroid = (data) => {
+    if (data.collider) return createCollider(data.collider).getCentroid();
+    const { width, height } = getSize(data);
+    return { x: width / 2, y: height / 2 };
+};
+
+// Body-frame point (relative to the unrotated top-left corner) to world space, and back
+const toWorld = (data, local) => {
+    const c = getCentroid(data);
+    const p = rotate(local.x - c.x, local.y - c.y, data.rotation || 0);
+    return { x: data.x + c.x + p.x, y: data.y + c.y + p.y };
+};
+
+const toLocal = (data, point) => {
+    const c = getCentroid(data);
+    const p = rotate(point.x - data.x - c.x, point.y - data.y - c.y, -(data.rotation || 0));
+    return { x: c.x + p.x, y: c.y + p.y };
+};
+
+// Move data so its body-frame point local lands on the world point target
+const pin = (data, local, target) => {
+    const current = toWorld(data, local);
+    data.x += target.x - current.x;
+    data.y += target.y - current.y;
+};
+
+// Stretch a body and its collider by sx, sy in its own frame; circles stay round
+const scaleBody = (data, sx, sy) => {
+    const { width, height } = getSize(data);
+    const collider = data.collider;
+    if (collider && collider.type === 'circle') {
+        sx = sy = Math.max(sx, sy);
+        collider.radius *= sx;
+    } else if (collider && collider.type === 'box') {
+        collider.width *= sx;
+        collider.height *= sy;
+    } else if (collider) {
+        collider.vertices = collider.vertices.map(v => ({ x: v.x * sx, y: v.y * sy }));
+    }
+    if (collider) {
+        collider.offsetX = (collider.offsetX || 0) * sx;
+        collider.offsetY = (collider.offsetY || 0) * sy;
+    }
+    data.width = width * sx;
+    data.height = height * sy;
+};
+
+// Whether the world point lies inside the body's collider (or its box when it has none)
+const containsPoint = (data, point) => {
+    const local = toLocal(data, point);
+    const collider = data.collider;
+    if (!collider) {
+        const { width, height } = getSize(data);
+        return local.x >= 0 && local.y >= 0 && local.x <= width && local.y <= height;
+    }
+    const ox = collider.offsetX || 0;
+    const oy = collider.offsetY || 0;
+    if (collider.type === 'circle') {
+        return Math.hypot(local.x - ox - collider.radius, local.y - oy - collider.radius) <= collider.radius;
+    }
+    if (collider.type === 'box') {
+        return local.x >= ox && local.y >= oy && local.x <= ox + collider.width && local.y <= oy + collider.height;
+    }
+    return Collider.pointInConvexPolygon(local.x - ox, local.y - oy, collider.vertices);
+};
+
+class Editor {
+    scene = { bodies: [] }; // the scene description being edited
+    selected = -1; // index of the selected body in scene.bodies, -1 for none
+    undoStack = []; // earlier scenes as JSON, most recent last
+    redoStack = [];
+    drag = null; // what the pointer is dragging, see beginDrag()
+
+    constructor(scene = {})
+    {
+        this.load(scene);
+    }
+
+    // Start editing a new scene, forgetting the selection and history
+    load(scene) {
+        this.scene = clone(sceneToPixels({ ...scene, bodies: scene.bodies || [] }));
+        this.selected = -1;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.drag = null;
+    }
+
+    getSelected() {
+        return this.scene.bodies[this.selected] || null;
+    }
+
+    select(index) {
+        this.selected = index >= 0 && index < this.scene.bodies.length ? index : -1;
+    }
+
+    // Remember the scene as it was before a change (as JSON, by default as it is now) so
+    // the change can be undone
+    record(before = JSON.stringify(this.scene)) {
+        this.undoStack.push(before);
+        if (this.undoStack.length > HISTORY_LIMIT) this.undoStack.shift();
+        this.redoStack = [];
+    }
+
+    undo() {
+        if (this.undoStack.length === 0) return false;
+        this.redoStack.push(JSON.stringify(this.scene));
+        this.scene = JSON.parse(this.undoStack.pop());
+        this.select(this.selected);
+        return true;
+    }
+
+    redo() {
+        if (this.redoStack.length === 0) return false;
+        this.undoStack.push(JSON.stringify(this.scene));
+        this.scene = JSON.parse(this.redoStack.pop());
+        this.select(this.selected);
+        return true;
+    }
+
+    // Add a box, circle or triangle centered on point and select it
+    spawn(type, point) {
+        const template = templates[type];
+        if (!template) throw new Error(`Unknown body type: ${type}`);
+        this.record();
+        const names = new Set(this.scene.bodies.map(b => b.name));
+        let n = 1;
+        while (names.has(`${type}${n}`)) n++;
+        const data = { name: `${type}${n}`, x: 0, y: 0, ...template() };
+        data.x = point.x - data.width / 2;
+        data.y = point.y - data.height / 2;
+        this.scene.bodies.push(data);
+        this.selected = this.scene.bodies.length - 1;
+        return data;
+    }
+
+    // Delete the selected body along with the forces and joints attached to it
+    removeSelected() {
+        const data = this.getSelected();
+        if (!data) return false;
+        this.record();
+        this.scene.bodies.splice(this.selected, 1);
+        this.selected = -1;
+        if (data.name === undefined) return true;
+        const uses = (item) => [item.a, item.b, item.body].includes(data.name);
+        if (this.scene.forces) {
+            this.scene.forces = this.scene.forces.filter(force => !uses(force));
+            this.scene.forces.forEach(force => {
+                if (force.bodies) force.bodies = force.bodies.filter(name => name !== data.name);
+            });
+            // A drag force left with no bodies would act on everything
+            this.scene.forces = this.scene.forces.filter(force => !force.bodies || force.bodies.length > 0);
+        }
+        if (this.scene.joints) this.scene.joints = this.scene.joints.filter(joint => !uses(joint));
+        return true;
+    }
+
+    // Set one property of the selected body; undefined removes it. The change is refused,
+    // and the problems returned, when it would make the scene invalid.
+    setProperty(key, value) {
+        const data = this.getSelected();
+        if (!data) return ['nothing selected'];
+        const before = JSON.stringify(this.scene);
+        if (value === undefined) delete data[key];
+        else data[key] = value;
+        // A new material replaces the density and surface the body had of its own
+        if (key === 'material') MATERIAL_FIELDS.forEach(field => delete data[field]);
+        const problems = validateScene(this.scene);
+        if (problems.length > 0) {
+            this.scene = JSON.parse(before);
+            return problems;
+        }
+        if (JSON.stringify(this.scene) !== before) this.record(before);
+        return [];
+    }
+
+    // World positions of the selected body's handles: its outline corners, the resize
+    // handle on the bottom-right corner, the rotate handle above the top edge and, for
+    // triangles and polygons, one handle per vertex
+    getHandles() {
+        const data = this.getSelected();
+        if (!data) return null;
+        const { width, height } = getSize(data);
+        const collider = data.collider;
+        const vertices = collider && collider.vertices
+            ? collider.vertices.map(v => toWorld(data, { x: (collider.offsetX || 0) + v.x, y: (collider.offsetY || 0) + v.y }))
+            : [];
+        return {
+            outline: [{ x: 0, y: 0 }, { x: width, y: 0 }, { x: width, y: height }, { x: 0, y: height }].map(p => toWorld(data, p)),
+            resize: toWorld(data, { x: width, y: height }),
+            rotate: toWorld(data, { x: width / 2, y: -ROTATE_HANDLE_DISTANCE }),
+            center: toWorld(data, getCentroid(data)),
+            vertices
+        };
+    }
+
+    // What a press at point would grab: { kind: 'vertex' | 'resize' | 'rotate' | 'body', index, vertex }
+    // or null for empty space. Handles of the selected body win over bodies.
+    hitTest(point) {
+        const handles = this.getHandles();
+        const near = (p) => Math.hypot(p.x - point.x, p.y - point.y) <= HANDLE_RADIUS;
+        if (handles) {
+            const vertex = handles.vertices.findIndex(near);
+            if (vertex !== -1) return { kind: 'vertex', index: this.selected, vertex };
+            if (near(handles.resize)) return { kind: 'resize', index: this.selected };
+            if (near(handles.rotate)) return { kind: 'rotate', index: this.selected };
+        }
+        // Later bodies are drawn on top, so they are hit first
+        for (let i = this.scene.bodies.length - 1; i >= 0; i--) {
+            if (containsPoint(this.scene.bodies[i], point)) return { kind: 'body', index: i };
+        }
+        return null;
+    }
+
+    // Press at point: select what is there and start dragging it
+    beginDrag(point) {
+        const hit = this.hitTest(point);
+        this.select(hit ? hit.index : -1);
+        if (!hit) return false;
+        this.drag = { ...hit, start: point, original: clone(this.scene.bodies[hit.index]), before: JSON.stringify(this.scene) };
+        return true;
+    }
+
+    // Pointer moved to point while dragging; snap rounds rotations to 15 degrees.
+    // Each move starts again from the body as it was when the drag began.
+    dragTo(point, { snap = false } = {}) {
+        if (!this.drag) return false;
+        const { kind, index, start, original } = this.drag;
+        let data = clone(original);
+        if (kind === 'body') {
+            data.x += point.x - start.x;
+            data.y += point.y - start.y;
+        } else if (kind === 'resize') {
+            // The top-left corner stays put while the bottom-right follows the pointer
+            const { width, height } = getSize(original);
+            const local = toLocal(original, point);
+            scaleBody(data, Math.max(local.x, MIN_SIZE) / width, Math.max(local.y, MIN_SIZE) / height);
+            pin(data, { x: 0, y: 0 }, toWorld(original, { x: 0, y: 0 }));
+        } else if (kind === 'rotate') {
+            const center = toWorld(original, getCentroid(original));
+            // The handle sits above the center, so pointing straight up is no rotation
+            let angle = Math.atan2(point.y - center.y, point.x - center.x) + Math.PI / 2;
+            if (snap) angle = Math.round(angle / ROTATION_SNAP) * ROTATION_SNAP;
+            data.rotation = angle;
+        } else if (kind === 'vertex') {
+            data = this.moveVertex(original, this.drag.vertex, point);
+            if (!data) return false;
+        }
+        this.scene.bodies[index] = data;
+        return true;
+    }
+
+    // Copy of data with one collider vertex moved to the world point, or null when that
+    // would leave the shape flat or concave. The other vertices stay where they are, and
+    // the body's box is refitted around the new shape.
+    moveVertex(original, vertex, point) {
+        const data = clone(original);
+        const collider = data.collider;
+        const ox = collider.offsetX || 0;
+        const oy = collider.offsetY || 0;
+        const local = toLocal(original, point);
+        collider.vertices[vertex] = { x: local.x - ox, y: local.y - oy };
+        if (!PolygonCollider.isConvex(collider.vertices)) return null;
+
+        const minX = Math.min(...collider.vertices.map(v => v.x));
+        const minY = Math.min(...collider.vertices.map(v => v.y));
+        const maxX = Math.max(...collider.vertices.map(v => v.x));
+        const maxY = Math.max(...collider.vertices.map(v => v.y));
+        collider.vertices = collider.vertices.map(v => ({ x: v.x - minX, y: v.y - minY }));
+        data.width = maxX - minX + ox;
+        data.height = maxY - minY + oy;
+
+        const other = (vertex + 1) % collider.vertices.length;
+        const before = original.collider.vertices[other];
+        const after = collider.vertices[other];
+        pin(data, { x: ox + after.x, y: oy + after.y }, toWorld(original, { x: ox + before.x, y: oy + before.y }));
+        return data;
+    }
+
+    // Release: the whole drag becomes one undo step, and a press that changed nothing none
+    endDrag() {
+        if (!this.drag) return;
+        const { before } = this.drag;
+        this.drag = null;
+        if (before !== JSON.stringify(this.scene)) this.record(before);
+    }
+}
+
+export { Editor };
@@ -0,0 +1,467 @@
+import { PPM, GRAVITY, getKineticEnergy } from './World.js';
+
+// Library of classic experiments, each a scene (in meters) with the textbook solution it
+// should follow. An experiment draws the predicted path of its bodies over the simulation,
+// with a hollow ghost where theory puts each body now, and reports how far the simulation
+// is from it. Models work in meters and seconds with y pointing down, like the scenes, and
+// each holds until its `until` time (a landing, the end of a slope, ...). Quantities that are
+// only known once something has happened (a landing, a peak) are taken from the run by the
+// preset's watch(world, measured) after every step. DOM-free.
+
+const G = GRAVITY / PPM; // m/s²
+const PATH_POINTS = 120; // samples along each drawn path
+const PATH_COLOR = 'rgba(255, 255, 255, 0.6)';
+const GHOST_RADIUS = 6; // pixels
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Scene body centered on (x, y), in meters
+const ball = (name, x, y, radius, mass, color, fields = {}) => ({
+    name, x: x - radius, y: y - radius, width: 2 * radius, height: 2 * radius, mass, color,
+    collider: { type: 'circle', radius },
+    ...fields
+});
+
+const box = (name, x, y, size, mass, color, fields = {}) => ({
+    name, x: x - size / 2, y: y - size / 2, width: size, height: size, mass, color,
+    collider: { type: 'box', width: size, height: size },
+    ...fields
+});
+
+// Arithmetic-geometric mean, for the exact pendulum period
+const agm = (a, b) => {
+    while (Math.abs(a - b) > 1e-12 * a) [a, b] = [(a + b) / 2, Math.sqrt(a * b)];
+    return a;
+};
+
+// Ball launched at speed (m/s) and angle (degrees above the horizontal) from height (m)
+const projectile = ({ speed = 8, angle = 45, height = 0.5 } = {}) => {
+    const bounds = { width: 12, height: 8 };
+    const radius = 0.1;
+    const x0 = 1;
+    const y0 = bounds.height - height;
+    const vx = speed * Math.cos(toRadians(angle));
+    const vy = -speed * Math.sin(toRadians(angle));
+    // Until the ball touches the ground
+    const drop = bounds.height - radius - y0;
+    const landing = (-vy + Math.sqrt(vy * vy + 2 * G * drop)) / G;
+    return {
+        title: `Projectile: ${speed} m/s at ${angle}°`,
+        scene: {
+            units: 'm',
+            world: { bounds },
+            bodies: [ball('ball', x0, y0, radius, 1, '#ffff00', { vx, vy })]
+        },
+        models: {
+            ball: {
+                until: landing,
+                at: (t) => ({ x: x0 + vx * t, y: y0 + vy * t + G * t * t / 2, vx, vy: vy + G * t })
+            }
+        },
+        // The highest point reached, and when and where the ball first came down to touching
+        // the ground, between the two steps either side of it
+        watch: (world, measured) => {
+            const obj = world.bodies.find(other => other.name === 'ball');
+            if (!obj) return;
+            const center = obj.getCenter();
+            const point = { time: world.time, x: center.x / PPM, y: center.y / PPM };
+            measured.peak = Math.min(measured.peak === undefined ? Infinity : measured.peak, point.y);
+            const ground = bounds.height - radius;
+            const last = measured.last;
+            if (measured.landing === undefined && last && point.y >= ground && last.y < ground) {
+                const f = (ground - last.y) / (point.y - last.y);
+                measured.landing = last.time + f * (point.time - last.time);
+                measured.range = last.x + f * (point.x - last.x) - x0;
+            }
+            measured.last = point;
+        },
+        extras: (world, measured) => [
+            { label: 'Flight time', theory: landing, simulated: measured.landing, unit: 's' },
+            { label: 'Range', theory: vx * landing, simulated: measured.range, unit: 'm' },
+            { label: 'Peak height', theory: height + vy * vy / (2 * G), simulated: measured.peak !== undefined ? bounds.height - measured.peak : undefined, unit: 'm' }
+        ]
+    };
+};
+
+// Block released on a slope of angle degrees; it slides with
+// a = g (sin θ - μk cos θ) if tan θ > μs, and stays put otherwise
+const incline = ({ angle = 30, staticFriction = 0.3, kineticFriction = 0.2, mass = 2 } = {}) => {
+    const bounds = { width: 12, height: 8 };
+    const theta = toRadians(angle);
+    const base = 8;
+    const rise = base * Math.tan(theta);
+    if (!(rise < bounds.height - 1)) throw new Error(`Incline angle must leave room for the slope, got ${angle}°`);
+    const top = { x: 1, y: bounds.height - rise };
+    const length = base / Math.cos(theta);
+    const size = 0.4;
+    const start = 0.5; // meters down the slope
+    const gap = 0.005; // keeps the block from starting inside the slope
+    const along = { x: Math.cos(theta), y: Math.sin(theta) };
+    const normal = { x: Math.sin(theta), y: -Math.cos(theta) };
+    // Center of the block a distance s down the slope
+    const centerAt = (s) => ({
+        x: top.x + along.x * s + normal.x * (size / 2 + gap),
+        y: top.y + along.y * s + normal.y * (size / 2 + gap)
+    });
+    const slides = Math.tan(theta) > staticFriction;
+    const a = slides ? G * (Math.sin(theta) - kineticFriction * Math.cos(theta)) : 0;
+    const end = length - start - size;
+    const center = centerAt(start);
+    const surface = { staticFriction, kineticFriction };
+    return {
+        title: `Block on a ${angle}° incline, μs = ${staticFriction}, μk = ${kineticFriction}`,
+        scene: {
+            units: 'm',
+            world: { bounds },
+            bodies: [
+                {
+                    name: 'incline', x: top.x, y: top.y, width: base, height: rise, mass: 1000, color: '#ff0000',
+                    bodyType: 'static', ...surface,
+                    collider: { type: 'triangle', vertices: [{ x: 0, y: 0 }, { x: 0, y: rise }, { x: base, y: rise }] }
+                },
+                box('block', center.x, center.y, size, mass, '#00ff00', { rotation: theta, ...surface })
+            ]
+        },
+        models: {
+            block: {
+                until: a > 0 ? Math.sqrt(2 * end / a) : Infinity,
+                duration: 3,
+                at: (t) => {
+                    const position = centerAt(start + a * t * t / 2);
+                    return { x: position.x, y: position.y, vx: along.x * a * t, vy: along.y * a * t };
+                }
+            }
+        },
+        extras: (world) => {
+            const block = world.bodies.find(obj => obj.name === 'block');
+            const friction = block ? world.getForceBreakdown(block).filter(force => force.label === 'friction') : [];
+            const simulated = friction.length > 0
+                ? Math.hypot(...['x', 'y'].map(axis => friction.reduce((sum, force) => sum + force[axis], 0))) / PPM
+                : 0;
+            return [
+                { label: 'Acceleration', theory: a, unit: 'm/s²' },
+                { label: 'Friction', theory: slides ? kineticFriction * mass * G * Math.cos(theta) : mass * G * Math.sin(theta), simulated, unit: 'N', body: 'block' }
+            ];
+        }
+    };
+};
+
+// Head-on collisions of a moving box with a resting one, elastic (e = 1) in the top row and
+// perfectly inelastic (e = 0) in the bottom one, away from gravity
+const collisions = ({ massA = 2, massB = 1, speedA = 3, speedB = 0 } = {}) => {
+    const bounds = { width: 12, height: 8 };
+    const size = 0.5;
+    const xA = 2;
+    const xB = 7;
+    if (!(speedA > speedB)) throw new Error('Collisions need box A to catch up with box B (speedA > speedB)');
+    const impact = (xB - xA - size) / (speedA - speedB);
+    const total = massA + massB;
+    const rows = [{ prefix: 'elastic', e: 1, y: 3 }, { prefix: 'inelastic', e: 0, y: 5 }];
+    const finalVelocities = (e) => ({
+        a: (massA * speedA + massB * speedB + massB * e * (speedB - speedA)) / total,
+        b: (massA * speedA + massB * speedB + massA * e * (speedA - speedB)) / total
+    });
+    // Straight lines before and after the impact
+    const line = (x0, v0, v1, y) => (t) => {
+        const x = t < impact ? x0 + v0 * t : x0 + v0 * impact + v1 * (t - impact);
+        return { x, y, vx: t < impact ? v0 : v1, vy: 0 };
+    };
+    const bodies = [];
+    const models = {};
+    rows.forEach(({ prefix, e, y }) => {
+        const final = finalVelocities(e);
+        const fields = { gravityScale: 0, restitution: e, staticFriction: 0, kineticFriction: 0 };
+        bodies.push(box(`${prefix} A`, xA, y, size, massA, '#00ff00', { vx: speedA, ...fields }));
+        bodies.push(box(`${prefix} B`, xB, y, size, massB, '#0000ff', { vx: speedB, ...fields }));
+        models[`${prefix} A`] = { until: Infinity, duration: impact + 2, at: line(xA, speedA, final.a, y) };
+        models[`${prefix} B`] = { until: Infinity, duration: impact + 2, at: line(xB, speedB, final.b, y) };
+    });
+    return {
+        title: `Collisions: ${massA} kg at ${speedA} m/s into ${massB} kg at ${speedB} m/s`,
+        scene: { units: 'm', world: { bounds }, bodies },
+        models,
+        // Kinetic energy of each pair before and after the impact
+        watch: (world, measured) => rows.forEach(({ prefix }) => {
+            const pair = [`${prefix} A`, `${prefix} B`].map(name => world.bodies.find(obj => obj.name === name)).filter(Boolean);
+            const energy = pair.reduce((sum, obj) => sum + getKineticEnergy(obj), 0) / (PPM * PPM);
+            measured[`${prefix} ${world.time > impact ? 'after' : 'before'}`] = energy;
+        }),
+        extras: (world, measured) => {
+            const velocity = (name) => {
+                const obj = world.bodies.find(other => other.name === name);
+                return obj ? obj.vx / PPM : NaN;
+            };
+            const after = world.time > impact;
+            const reduced = massA * massB / total;
+            return rows.flatMap(({ prefix, e }) => {
+                const final = finalVelocities(e);
+                return [
+                    { label: `${prefix} A final v`, theory: final.a, simulated: after ? velocity(`${prefix} A`) : undefined, unit: 'm/s' },
+                    { label: `${prefix} B final v`, theory: final.b, simulated: after ? velocity(`${prefix} B`) : undefined, unit: 'm/s' },
+                    {
+                        label: `${prefix} energy lost`,
+                        theory: reduced * (1 - e * e) * Math.pow(speedA - speedB, 2) / 2,
+                        simulated: after ? measured[`${prefix} before`] - measured[`${prefix} after`] : undefined,
+                        unit: 'J'
+                    }
+                ];
+            });
+        }
+    };
+};
+
+// Bob on a massless rod of length meters, released at angle degrees. The exact motion has
+// period T = 2π √(L/g) / AGM(1, cos(θ0/2)); it is drawn as θ0 cos(2πt/T), which is
+// what it reduces to for small angles and stays close to for moderate ones
+const pendulum = ({ length = 3, angle = 20 } = {}) => {
+    const bounds = { width: 12, height: 8 };
+    const pivot = { x: 6, y: 1 };
+    const theta0 = toRadians(angle);
+    const smallAnglePeriod = 2 * Math.PI * Math.sqrt(length / G);
+    const period = smallAnglePeriod / agm(1, Math.cos(theta0 / 2));
+    const omega = 2 * Math.PI / period;
+    const radius = 0.1;
+    return {
+        title: `Pendulum: ${length} m released at ${angle}°`,
+        scene: {
+            units: 'm',
+            world: { bounds },
+            bodies: [ball('bob', pivot.x + length * Math.sin(theta0), pivot.y + length * Math.cos(theta0), radius, 1, '#ffcc00')],
+            joints: [{ type: 'distance', a: 'bob', anchor: pivot }]
+        },
+        models: {
+            bob: {
+                until: Infinity,
+                duration: period,
+                at: (t) => {
+                    const theta = theta0 * Math.cos(omega * t);
+                    const rate = -theta0 * omega * Math.sin(omega * t);
+                    return {
+                        x: pivot.x + length * Math.sin(theta),
+                        y: pivot.y + length * Math.cos(theta),
+                        vx: length * Math.cos(theta) * rate,
+                        vy: -length * Math.sin(theta) * rate
+                    };
+                }
+            }
+        },
+        extras: (world) => {
+            const bob = world.bodies.find(obj => obj.name === 'bob');
+            const center = bob ? bob.getCenter() : null;
+            const simulated = center ? Math.atan2(center.x / PPM - pivot.x, center.y / PPM - pivot.y) * 180 / Math.PI : undefined;
+            return [
+                { label: 'Period', theory: period, unit: 's' },
+                { label: 'Small-angle period', theory: smallAnglePeriod, unit: 's' },
+                { label: 'Angle', theory: theta0 * Math.cos(omega * world.time) * 180 / Math.PI, simulated, unit: '°' }
+            ];
+        }
+    };
+};
+
+// Two masses hanging from a rope over two wheels, released from rest:
+// a = (m1 - m2) g / (m1 + m2), T = 2 m1 m2 g / (m1 + m2)
+const atwood = ({ massA = 3, massB = 1 } = {}) => {
+    const bounds = { width: 12, height: 6 };
+    const wheelY = 0.5;
+    const start = 3.5;
+    const size = 0.3;
+    const total = massA + massB;
+    const a = (massA - massB) * G / total;
+    // Until the lower mass lands or the upper one comes close to its wheel
+    const travel = Math.min(bounds.height - size / 2 - start, start - wheelY - size);
+    const until = a !== 0 ? Math.sqrt(2 * travel / Math.abs(a)) : Infinity;
+    const hanging = (x, sign) => (t) => ({ x, y: start + sign * a * t * t / 2, vx: 0, vy: sign * a * t });
+    return {
+        title: `Atwood machine: ${massA} kg and ${massB} kg`,
+        scene: {
+            units: 'm',
+            world: { bounds },
+            bodies: [
+                box('A', 5.5, start, size, massA, '#00ff00'),
+                box('B', 6.5, start, size, massB, '#0000ff')
+            ],
+            joints: [{ type: 'pulley', a: 'A', b: 'B', groundA: { x: 5.5, y: wheelY }, groundB: { x: 6.5, y: wheelY } }]
+        },
+        models: {
+            A: { until, duration: 2, at: hanging(5.5, 1) },
+            B: { until, duration: 2, at: hanging(6.5, -1) }
+        },
+        extras: (world) => {
+            const joint = world.joints.find(other => other.type === 'pulley');
+            return [
+                { label: 'Acceleration', theory: Math.abs(a), unit: 'm/s²' },
+                { label: 'Tension', theory: 2 * massA * massB * G / total, simulated: joint && world.time > 0 ? joint.tension / PPM : undefined, unit: 'N', body: 'A' }
+            ];
+        }
+    };
+};
+
+// Two balls dropped from height meters, one in vacuum and one with quadratic drag
+// F = c v², which approaches the terminal speed vt = √(m g / c):
+// v = vt tanh(g t / vt), distance fallen = vt² / g · ln cosh(g t / vt)
+const drag = ({ coefficient = 0.05, mass = 1, height = 40 } = {}) => {
+    const bounds = { width: 8, height: height + 2 };
+    const radius = 0.1;
+    const y0 = bounds.height - height;
+    const drop = height - radius;
+    const terminal = Math.sqrt(mass * G / coefficient);
+    const k = G / terminal;
+    const landing = Math.acosh(Math.exp(drop * G / (terminal * terminal))) / k;
+    return {
+        title: `Free fall from ${height} m with drag c = ${coefficient} kg/m`,
+        scene: {
+            units: 'm',
+            world: { bounds },
+            bodies: [
+                ball('vacuum', 2.5, y0, radius, mass, '#ff8844'),
+                ball('drag', 5.5, y0, radius, mass, '#44ff88')
+            ],
+            forces: [{ type: 'drag', bodies: ['drag'], quadratic: coefficient }]
+        },
+        models: {
+            vacuum: {
+                until: Math.sqrt(2 * drop / G),
+                at: (t) => ({ x: 2.5, y: y0 + G * t * t / 2, vx: 0, vy: G * t })
+            },
+            drag: {
+                until: landing,
+                at: (t) => ({ x: 5.5, y: y0 + terminal * terminal / G * Math.log(Math.cosh(k * t)), vx: 0, vy: terminal * Math.tanh(k * t) })
+            }
+        },
+        extras: (world) => {
+            const obj = world.bodies.find(other => other.name === 'drag');
+            return [
+                { label: 'Terminal speed', theory: terminal, unit: 'm/s' },
+                { label: 'Drag ball speed', theory: terminal * Math.tanh(k * Math.min(world.time, landing)), simulated: obj ? Math.hypot(obj.vx, obj.vy) / PPM : undefined, unit: 'm/s', body: 'drag' }
+            ];
+        }
+    };
+};
+
+const presets = {
+    projectile: { title: 'Projectile at an angle', create: projectile },
+    incline: { title: 'Block on an incline with friction', create: incline },
+    collisions: { title: 'Elastic and inelastic collisions', create: collisions },
+    pendulum: { title: 'Simple pendulum', create: pendulum },
+    atwood: { title: 'Atwood machine', create: atwood },
+    drag: { title: 'Free fall with drag', create: drag }
+};
+
+// Readout of a number; blank for a missing one
+const format = (value, unit) => value === undefined || !Number.isFinite(value) ? '—' : `${value.toFixed(3)} ${unit}`;
+
+class Experiment {
+    errors = new Map(); // body name -> { time, position, velocity } at the last step its model held
+    captured = new Map(); // extra label -> simulated value at the last step its body's model held
+    measured = {}; // what the preset's watch() has taken from the run so far
+    lastTime = -Infinity; // world time of the last observed step
+
+    // Build preset name with params overriding its defaults
+    constructor(name, params = {})
+    {
+        const preset = presets[name];
+        if (!preset) throw new Error(`Unknown experiment: ${name} (expected one of ${Object.keys(presets).join(', ')})`);
+        this.name = name;
+        Object.assign(this, preset.create(params));
+    }
+
+    // Distance in meters and m/s between each modelled body and its prediction at the world's time
+    measure(world) {
+        const time = world.time;
+        const result = new Map();
+        Object.entries(this.models).forEach(([name, model]) => {
+            const obj = world.bodies.find(other => other.name === name);
+            if (!obj || time > model.until) return;
+            const predicted = model.at(time);
+            const center = obj.getCenter();
+            result.set(name, {
+                time,
+                position: Math.hypot(center.x / PPM - predicted.x, center.y / PPM - predicted.y),
+                velocity: Math.hypot(obj.vx / PPM - predicted.vx, obj.vy / PPM - predicted.vy)
+            });
+        });
+        return result;
+    }
+
+    // Called after every new step, to keep each body's error, and the simulated extras that
+    // belong to it, from the last step its model held
+    observe(world) {
+        // Stepping on from an earlier time (after a rewind) runs the experiment again
+        if (world.time < this.lastTime) this.reset();
+        this.lastTime = world.time;
+        if (this.watch) this.watch(world, this.measured);
+        const measured = this.measure(world);
+        measured.forEach((error, name) => this.errors.set(name, error));
+        this.getExtras(world).forEach(extra => {
+            if (extra.body && measured.has(extra.body) && extra.simulated !== undefined) this.captured.set(extra.label, extra.simulated);
+        });
+    }
+
+    // Forget the measurements, e.g. when the world is rebuilt
+    reset() {
+        this.errors.clear();
+        this.captured.clear();
+        this.measured = {};
+        this.lastTime = -Infinity;
+    }
+
+    // Extras with the simulated value of a body whose model has ended replaced by the one
+    // captured while it held
+    getExtras(world) {
+        return (this.extras ? this.extras(world, this.measured) : []).map(extra => {
+            const model = extra.body ? this.models[extra.body] : null;
+            if (!model || world.time <= model.until) return extra;
+            return { ...extra, simulated: this.captured.get(extra.label), ended: true };
+        });
+    }
+
+    // Text readout: the error of every body now, or at the end of its model, and the extras
+    getResults(world) {
+        const now = this.measure(world);
+        const lines = [this.title, `t = ${world.time.toFixed(2)} s`];
+        Object.entries(this.models).forEach(([name, model]) => {
+            const error = now.get(name) || this.errors.get(name);
+            const when = now.has(name) ? 'now' : `at ${model.until.toFixed(2)} s, when the model ends`;
+            lines.push(error
+                ? `${name}: position error ${format(error.position, 'm')}, velocity error ${format(error.velocity, 'm/s')} (${when})`
+                : `${name}: no measurement yet`);
+        });
+        this.getExtras(world).forEach(({ label, theory, simulated, unit, ended }) => {
+            let line = `${label}: theory ${format(theory, unit)}`;
+            if (simulated !== undefined) {
+                const relative = theory !== 0 ? ` (${(Math.abs(simulated - theory) / Math.abs(theory) * 100).toFixed(2)}%)` : '';
+                line += `, simulated ${format(simulated, unit)}${relative}${ended ? ' when the model ended' : ''}`;
+            }
+            lines.push(line);
+        });
+        return lines;
+    }
+
+    // Dashed predicted path of every modelled body and a ghost where it should be now, in
+    // world pixels (draw through the camera)
+    draw(ctx, world) {
+        ctx.save();
+        ctx.strokeStyle = PATH_COLOR;
+        ctx.lineWidth = 1.5;
+        Object.entries(this.models).forEach(([name, model]) => {
+            const end = Math.min(model.until, model.duration || model.until);
+            if (!Number.isFinite(end)) return;
+            ctx.setLineDash([6, 4]);
+            ctx.beginPath();
+            for (let i = 0; i <= PATH_POINTS; i++) {
+                const point = model.at(end * i / PATH_POINTS);
+                if (i === 0) ctx.moveTo(point.x * PPM, point.y * PPM);
+                else ctx.lineTo(point.x * PPM, point.y * PPM);
+            }
+            ctx.stroke();
+            ctx.setLineDash([]);
+            const ghost = model.at(Math.min(world.time, model.until));
+            ctx.beginPath();
+            ctx.arc(ghost.x * PPM, ghost.y * PPM, GHOST_RADIUS, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+        ctx.restore();
+    }
+}
+
+export { Experiment, presets };
@@ -0,0 +1,251 @@
+// Force generators: lasting forces registered on a World with addForceGenerator().
+// Every step (and every intermediate state an integrator probes) the world asks each
+// generator for the forces it puts on a body, so position- and velocity-dependent forces
+// like springs and drag are re-evaluated wherever they are needed. A force is
+// { x, y, point?, torque?, label }; point is the world-space point of application (torque),
+// torque an extra pure turning moment, label names the force for overlays and diagnostics.
+
+// Base class: a generator is active from startTime for duration seconds, after which the
+// world drops it. startTime is filled in by the world when the generator is added.
+class ForceGenerator {
+    startTime = null; // world time the generator was added
+    duration = Infinity; // seconds it stays active
+
+    isActive(time) {
+        return this.startTime === null || time < this.startTime + this.duration;
+    }
+
+    // Whether the generator acts on obj
+    involves(obj) {
+        return false;
+    }
+
+    // Called when obj leaves the world; true means the generator has nothing left to act on
+    detach(obj) {
+        return this.involves(obj);
+    }
+
+    // Forces this generator applies to obj in its current state, [] when it doesn't act on it
+    getForces(obj, world) {
+        return [];
+    }
+
+    // Potential energy stored in the generator, in sim units; only springs store any
+    getEnergy() {
+        return 0;
+    }
+}
+
+// Hooke spring from body a to body b, or to a fixed anchor { x, y }, with optional damping
+// along the spring axis. Attaches to the centers of mass.
+class SpringForce extends ForceGenerator {
+    constructor(a, b, { stiffness = 50, restLength = null, damping = 0 } = {})
+    {
+        super();
+        this.a = a;
+        this.b = b; // GameObject or { x, y } anchor
+        this.stiffness = stiffness; // N/px, in the sim's mass and pixel units
+        this.damping = damping; // force per px/s of stretch rate
+        // Default rest length: whatever separation the ends have when the spring is created
+        this.restLength = restLength !== null ? restLength : this.getLength();
+    }
+
+    getEnd(end) {
+        return end.getCenter ? end.getCenter() : { x: end.x, y: end.y };
+    }
+
+    getLength() {
+        const pa = this.getEnd(this.a);
+        const pb = this.getEnd(this.b);
+        return Math.hypot(pb.x - pa.x, pb.y - pa.y);
+    }
+
+    involves(obj) {
+        return obj === this.a || obj === this.b;
+    }
+
+    getEnergy() {
+        const stretch = this.getLength() - this.restLength;
+        return 0.5 * this.stiffness * stretch * stretch;
+    }
+
+    getForces(obj, world) {
+        if (!this.involves(obj)) return [];
+        const pa = this.getEnd(this.a);
+        const pb = this.getEnd(this.b);
+        const dx = pb.x - pa.x;
+        const dy = pb.y - pa.y;
+        const length = Math.hypot(dx, dy);
+        if (length === 0) return [];
+        const nx = dx / length;
+        const ny = dy / length;
+
+        // Rate the spring is stretching: relative velocity of the ends along its axis
+        const va = { x: this.a.vx || 0, y: this.a.vy || 0 };
+        const vb = { x: this.b.vx || 0, y: this.b.vy || 0 };
+        const stretchRate = (vb.x - va.x) * nx + (vb.y - va.y) * ny;
+
+        // Positive tension pulls the ends together
+        const tension = this.stiffness * (length - this.restLength) + this.damping * stretchRate;
+        const sign = obj === this.a ? 1 : -1;
+        return [{ x: sign * tension * nx, y: sign * tension * ny, label: 'spring' }];
+    }
+}
+
+// Air drag opposing velocity: linear (viscous, k1 * v) plus quadratic (k2 * |v| * v).
+// Acts on the listed bodies, or on every body in the world when none are given.
+class DragForce extends ForceGenerator {
+    constructor(bodies = null, { linear = 0, quadratic = 0 } = {})
+    {
+        super();
+        this.bodies = bodies;
+        this.linear = linear;
+        this.quadratic = quadratic;
+    }
+
+    involves(obj) {
+        return !this.bodies || this.bodies.includes(obj);
+    }
+
+    detach(obj) {
+        if (!this.bodies) return false;
+        this.bodies = this.bodies.filter(body => body !== obj);
+        return this.bodies.length === 0;
+    }
+
+    getForces(obj, world) {
+        if (!this.involves(obj)) return [];
+        const speed = Math.hypot(obj.vx, obj.vy);
+        if (speed === 0) return [];
+        const magnitude = this.linear * speed + this.quadratic * speed * speed;
+        return [{ x: -magnitude * obj.vx / speed, y: -magnitude * obj.vy / speed, label: 'drag' }];
+    }
+}
+
+// Constant force on one body. With local set the force turns with the body, like a rocket
+// engine; point is an optional offset from the center of mass (in the body's frame when local).
+class ThrustForce extends ForceGenerator {
+    constructor(body, force, { local = false, point = null, duration = Infinity } = {})
+    {
+        super();
+        this.body = body;
+        this.force = force; // { x, y }
+        this.local = local;
+        this.point = point;
+        this.duration = duration;
+    }
+
+    involves(obj) {
+        return obj === this.body;
+    }
+
+    getForces(obj, world) {
+        if (!this.involves(obj)) return [];
+        const cos = this.local ? Math.cos(obj.rotation) : 1;
+        const sin = this.local ? Math.sin(obj.rotation) : 0;
+        const force = {
+            x: this.force.x * cos - this.force.y * sin,
+            y: this.force.x * sin + this.force.y * cos,
+            label: 'thrust'
+        };
+        if (this.point) {
+            const center = obj.getCenter();
+            force.point = {
+                x: center.x + this.point.x * cos - this.point.y * sin,
+                y: center.y + this.point.x * sin + this.point.y * cos
+            };
+        }
+        return [force];
+    }
+}
+
+// An impulse { x, y } (force x time) delivered as a constant force spread over duration seconds.
+// A step only partly inside that time gets the matching part, so the steps add up to exactly
+// the impulse whatever their length.
+class ImpulseForce extends ForceGenerator {
+    constructor(body, impulse, duration = 0.1)
+    {
+        super();
+        if (!(duration > 0)) throw new Error('ImpulseForce duration must be positive');
+        this.body = body;
+        this.impulse = impulse;
+        this.duration = duration;
+    }
+
+    involves(obj) {
+        return obj === this.body;
+    }
+
+    getForces(obj, world) {
+        if (!this.involves(obj)) return [];
+        let share = 1;
+        const deltaTime = world.stepDeltaTime;
+        if (deltaTime > 0 && this.startTime !== null) {
+            const overlap = Math.min(world.time + deltaTime, this.startTime + this.duration) - Math.max(world.time, this.startTime);
+            share = Math.max(overlap, 0) / deltaTime;
+        }
+        return [{ x: this.impulse.x / this.duration * share, y: this.impulse.y / this.duration * share, label: 'impulse' }];
+    }
+}
+
+// Pulls a point on a body towards a target that can move every frame, like a spring on the
+// end of a mouse pointer. Stiffness and damping follow the body's mass (a natural frequency
+// in Hz and a damping ratio), so light and heavy bodies follow equally well; maxForce caps
+// the pull. Spin is damped too, since a body turning about the grab point would otherwise
+// never stop. point and target start at the world point where the body was grabbed.
+class GrabForce extends ForceGenerator {
+    constructor(body, point, { frequency = 5, dampingRatio = 0.7, maxForce = Infinity } = {})
+    {
+        super();
+        this.body = body;
+        this.frequency = frequency;
+        this.dampingRatio = dampingRatio;
+        this.maxForce = maxForce;
+        this.target = { x: point.x, y: point.y };
+        // Grab point in the body's frame, relative to its center of mass
+        const center = body.getCenter();
+        const cos = Math.cos(-body.rotation);
+        const sin = Math.sin(-body.rotation);
+        const dx = point.x - center.x;
+        const dy = point.y - center.y;
+        this.local = { x: dx * cos - dy * sin, y: dx * sin + dy * cos };
+    }
+
+    involves(obj) {
+        return obj === this.body;
+    }
+
+    // World-space grab point on the body in its current state
+    getPoint(obj = this.body) {
+        const center = obj.getCenter();
+        const cos = Math.cos(obj.rotation);
+        const sin = Math.sin(obj.rotation);
+        return {
+            x: center.x + this.local.x * cos - this.local.y * sin,
+            y: center.y + this.local.x * sin + this.local.y * cos
+        };
+    }
+
+    getForces(obj, world) {
+        if (!this.involves(obj)) return [];
+        const point = this.getPoint(obj);
+        const center = obj.getCenter();
+        // Velocity of the grab point, including the spin about the center of mass
+        const vx = obj.vx - obj.angularVelocity * (point.y - center.y);
+        const vy = obj.vy + obj.angularVelocity * (point.x - center.x);
+        const omega = 2 * Math.PI * this.frequency;
+        const stiffness = obj.mass * omega * omega;
+        const damping = 2 * obj.mass * this.dampingRatio * omega;
+        let x = stiffness * (this.target.x - point.x) - damping * vx;
+        let y = stiffness * (this.target.y - point.y) - damping * vy;
+        const magnitude = Math.hypot(x, y);
+        if (magnitude > this.maxForce) {
+            x *= this.maxForce / magnitude;
+            y *= this.maxForce / magnitude;
+        }
+        const torque = -this.dampingRatio * omega * obj.inertia * obj.angularVelocity;
+        return [{ x, y, point, torque, label: 'grab' }];
+    }
+}
+
+export { ForceGenerator, SpringForce, DragForce, ThrustForce, ImpulseForce, GrabForce };
@@ -1,21 +1,42 @@
 import { BoxCollider } from './Collider.js';
 
 class GameObject {
+    name = '';
     x = 0;
     y = 0;
     width = 30;
     height = 30;
     spriteSrc = '';
     color = '#ffffff';
-    hasGravity = true;
+    // 'dynamic' bodies are simulated; 'kinematic' ones move only at the velocity (or along the
+    // path) they are given, pushing dynamic bodies without being pushed back; 'static' ones never move
+    bodyType = 'dynamic';
+    gravityScale = 1; // multiplies the world's gravity for this body; 0 floats
+    path = null; // kinematic bodies: { points, speed, loop, time } their center of mass follows, see getPathPoint() in World.js
+    bullet = false; // always use continuous collision detection (fast projectiles)
     vx = 0; // velocity x
     vy = 0; // velocity y
     ax = 0; // acceleration x
     ay = 0; // acceleration y
     mass = 1; // mass in kg
-    forces = []; // array of {x, y} force vectors
+    material = null; // name of the material the body is made of (see Materials.js), or null
+    density = null; // kg/m³ the mass is derived from, or null when the mass is set directly
+    restitution = 0; // coefficient of restitution: 0 = perfectly inelastic, 1 = elastic
+    staticFriction = 0.6; // coefficient of static friction
+    kineticFriction = 0.4; // coefficient of kinetic friction
+    forces = []; // one-step {x, y, point?} forces, cleared after every world step; point is the world-space point of application
     collider = null;
     rotation = 0;
+    angularVelocity = 0; // rad/s, positive is clockwise on the canvas
+    angularAcceleration = 0; // rad/s^2
+    sleeping = false; // at rest and skipped by the world until something disturbs it
+    sleepTime = 0; // seconds the body has stayed nearly still
+    collisionLayer = 1; // bits of the layers the body is on
+    collisionMask = 0xFFFFFFFF; // bits of the layers it collides with
+    // Collision callbacks, called with a contact event after the step (see World.dispatchCollisionEvents())
+    onCollisionEnter = null;
+    onCollisionStay = null;
+    onCollisionExit = null;
     constructor(x = 0, y = 0, width = 30, height = 30, mass = 1, collider = null)
     {
         this.x = x;
@@ -26,6 +47,31 @@ class GameObject {
         this.forces = [];
         this.collider = collider;
     }
+    // Center of mass in world coordinates
+    getCenter() {
+        if (this.collider) return this.collider.getCenter(this);
+        return { x: this.x + this.width / 2, y: this.y + this.height / 2 };
+    }
+    // Moment of inertia about the center of mass, derived from the collider shape
+    get inertia() {
+        if (this.collider) return this.collider.getMomentOfInertia(this.mass);
+        return this.mass * (this.width * this.width + this.height * this.height) / 12;
+    }
+    // Queue a force for the next world step only (use a force generator for lasting forces);
+    // applied off-center it also produces a torque
+    applyForce(x, y, point = null) {
+        this.forces.push(point ? { x, y, point } : { x, y });
+    }
+    // Kinematic bodies: set the velocity that carries the center of mass to (x, y) and the
+    // rotation to rotation in deltaTime seconds, so a script can move them and still push
+    // the bodies in their way
+    moveTo(x, y, deltaTime, rotation = this.rotation) {
+        if (this.bodyType !== 'kinematic') throw new Error('moveTo() is for kinematic bodies');
+        const center = this.getCenter();
+        this.vx = (x - center.x) / deltaTime;
+        this.vy = (y - center.y) / deltaTime;
+        this.angularVelocity = (rotation - this.rotation) / deltaTime;
+    }
 }
 
 export default GameObject;
\ No newline at end of file
@@ -0,0 +1,164 @@
+import { quantities } from './Quantities.js';
+
+// Scrolling time-series charts of body quantities (see Quantities.js). Bodies are pinned to
+// the charts and every quantity of every pinned body is sampled, so switching quantities on
+// shows their history straight away. Drawing takes a 2D canvas context and a rectangle;
+// everything else is DOM-free.
+
+const DEFAULT_WINDOW = 10; // seconds of history shown
+const TICK_TARGET = 4; // roughly how many labelled ticks an axis gets
+
+// Round step for about count ticks over range: 1, 2 or 5 times a power of ten
+const niceStep = (range, count) => {
+    const raw = range / count;
+    const power = Math.pow(10, Math.floor(Math.log10(raw)));
+    const scaled = raw / power;
+    return (scaled < 1.5 ? 1 : scaled < 3.5 ? 2 : scaled < 7.5 ? 5 : 10) * power;
+};
+
+// Short tick label: no more decimals than the step needs
+const formatTick = (value, step) => {
+    const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+    return value.toFixed(Math.min(decimals, 6));
+};
+
+class Graphs {
+    bodies = []; // pinned bodies, each drawn in its own color
+    shown = ['y', 'vy']; // quantity names, one chart each
+    window = DEFAULT_WINDOW;
+    series = new Map(); // body -> [{ time, values: { quantity: value } }], oldest first
+
+    pin(obj) {
+        if (this.bodies.includes(obj)) return;
+        this.bodies.push(obj);
+        this.series.set(obj, []);
+    }
+
+    unpin(obj) {
+        this.bodies = this.bodies.filter(body => body !== obj);
+        this.series.delete(obj);
+    }
+
+    setShown(names) {
+        names.forEach(name => {
+            if (!quantities[name]) throw new Error(`Unknown quantity: ${name}`);
+        });
+        this.shown = names;
+    }
+
+    // Follow the pinned bodies into a rebuilt world, matching them by name; history is cleared
+    rebind(world) {
+        const bodies = this.bodies
+            .map(obj => obj.name ? world.bodies.find(other => other.name === obj.name) : null)
+            .filter(Boolean);
+        this.bodies = [];
+        this.series = new Map();
+        bodies.forEach(obj => this.pin(obj));
+    }
+
+    // Record the pinned bodies at the world's current time. Samples later than that time
+    // are dropped first, so rewinding the world rewinds the graphs with it.
+    sample(world) {
+        const time = world.time;
+        this.bodies.forEach(obj => {
+            const points = this.series.get(obj);
+            while (points.length > 0 && points[points.length - 1].time > time) points.pop();
+            if (points.length > 0 && points[points.length - 1].time === time) return;
+            const values = {};
+            for (const [name, quantity] of Object.entries(quantities)) values[name] = quantity.get(obj, world);
+            points.push({ time, values });
+            while (points.length > 0 && points[0].time < time - this.window) points.shift();
+        });
+    }
+
+    // Stack one chart per shown quantity in the rectangle, ending at time now
+    draw(ctx, { x, y, width, height }, now) {
+        if (this.shown.length === 0) return;
+        const chartHeight = height / this.shown.length;
+        this.shown.forEach((name, i) => {
+            this.drawChart(ctx, name, { x, y: y + i * chartHeight, width, height: chartHeight }, now);
+        });
+    }
+
+    drawChart(ctx, name, rect, now) {
+        const quantity = quantities[name];
+        const margin = { left: 48, right: 8, top: 18, bottom: 18 };
+        const plot = {
+            x: rect.x + margin.left,
+            y: rect.y + margin.top,
+            width: rect.width - margin.left - margin.right,
+            height: rect.height - margin.top - margin.bottom
+        };
+        const start = now - this.window;
+
+        // Value range over the visible samples, never flat
+        let min = Infinity;
+        let max = -Infinity;
+        this.series.forEach(points => points.forEach(point => {
+            if (point.time < start) return;
+            min = Math.min(min, point.values[name]);
+            max = Math.max(max, point.values[name]);
+        }));
+        if (min === Infinity) {
+            min = -1;
+            max = 1;
+        }
+        if (max - min < 1e-6) {
+            min -= 0.5;
+            max += 0.5;
+        }
+        const toX = (time) => plot.x + (time - start) / this.window * plot.width;
+        const toY = (value) => plot.y + (max - value) / (max - min) * plot.height;
+
+        ctx.save();
+        ctx.font = '11px sans-serif';
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText(`${quantity.label} (${quantity.unit})`, plot.x, rect.y + 12);
+
+        // Grid and tick labels: values on the left, time along the bottom
+        ctx.strokeStyle = '#333333';
+        ctx.fillStyle = '#aaaaaa';
+        ctx.lineWidth = 1;
+        const valueStep = niceStep(max - min, TICK_TARGET);
+        ctx.textAlign = 'right';
+        for (let value = Math.ceil(min / valueStep) * valueStep; value <= max; value += valueStep) {
+            ctx.beginPath();
+            ctx.moveTo(plot.x, toY(value));
+            ctx.lineTo(plot.x + plot.width, toY(value));
+            ctx.stroke();
+            ctx.fillText(formatTick(value, valueStep), plot.x - 4, toY(value) + 4);
+        }
+        const timeStep = niceStep(this.window, TICK_TARGET);
+        ctx.textAlign = 'center';
+        for (let time = Math.ceil(start / timeStep) * timeStep; time <= now; time += timeStep) {
+            if (time < 0) continue;
+            ctx.beginPath();
+            ctx.moveTo(toX(time), plot.y);
+            ctx.lineTo(toX(time), plot.y + plot.height);
+            ctx.stroke();
+            ctx.fillText(`${formatTick(time, timeStep)} s`, toX(time), plot.y + plot.height + 13);
+        }
+        ctx.strokeStyle = '#888888';
+        ctx.strokeRect(plot.x, plot.y, plot.width, plot.height);
+
+        // One line per pinned body
+        ctx.beginPath();
+        ctx.rect(plot.x, plot.y, plot.width, plot.height);
+        ctx.clip();
+        ctx.lineWidth = 1.5;
+        this.bodies.forEach(obj => {
+            const points = this.series.get(obj).filter(point => point.time >= start);
+            if (points.length === 0) return;
+            ctx.strokeStyle = obj.color || '#ffffff';
+            ctx.beginPath();
+            points.forEach((point, i) => {
+                if (i === 0) ctx.moveTo(toX(point.time), toY(point.values[name]));
+                else ctx.lineTo(toX(point.time), toY(point.values[name]));
+            });
+            ctx.stroke();
+        });
+        ctx.restore();
+    }
+}
+
+export { Graphs, niceStep, formatTick };
@@ -0,0 +1,91 @@
+// Numerical integrators for one body's free motion (no contacts) over a timestep.
+// A state is { x, y, rotation, vx, vy, angularVelocity }; accelerationAt(state) returns
+// { ax, ay, alpha } for that state, so position- and velocity-dependent forces are
+// re-evaluated wherever the method needs them. Each integrator returns the new state.
+
+const advance = (state, rate, dt) => ({
+    x: state.x + rate.vx * dt,
+    y: state.y + rate.vy * dt,
+    rotation: state.rotation + rate.angularVelocity * dt,
+    vx: state.vx + rate.ax * dt,
+    vy: state.vy + rate.ay * dt,
+    angularVelocity: state.angularVelocity + rate.alpha * dt
+});
+
+// Time derivative of a state: velocities and accelerations
+const derivative = (state, accelerationAt) => ({
+    vx: state.vx,
+    vy: state.vy,
+    angularVelocity: state.angularVelocity,
+    ...accelerationAt(state)
+});
+
+// Explicit (forward) Euler: position uses the old velocity. Gains energy; kept for comparison.
+const explicitEuler = (state, accelerationAt, dt) => {
+    return advance(state, derivative(state, accelerationAt), dt);
+};
+
+// Semi-implicit (symplectic) Euler: update velocity first, then move with the new velocity
+const semiImplicitEuler = (state, accelerationAt, dt) => {
+    const { ax, ay, alpha } = accelerationAt(state);
+    const vx = state.vx + ax * dt;
+    const vy = state.vy + ay * dt;
+    const angularVelocity = state.angularVelocity + alpha * dt;
+    return {
+        x: state.x + vx * dt,
+        y: state.y + vy * dt,
+        rotation: state.rotation + angularVelocity * dt,
+        vx, vy, angularVelocity
+    };
+};
+
+// Velocity Verlet: second order, time-reversible, good long-term energy behaviour
+const velocityVerlet = (state, accelerationAt, dt) => {
+    const a0 = accelerationAt(state);
+    const x = state.x + state.vx * dt + 0.5 * a0.ax * dt * dt;
+    const y = state.y + state.vy * dt + 0.5 * a0.ay * dt * dt;
+    const rotation = state.rotation + state.angularVelocity * dt + 0.5 * a0.alpha * dt * dt;
+    // Velocity-dependent forces are evaluated at the Euler-predicted velocity
+    const a1 = accelerationAt({
+        x, y, rotation,
+        vx: state.vx + a0.ax * dt,
+        vy: state.vy + a0.ay * dt,
+        angularVelocity: state.angularVelocity + a0.alpha * dt
+    });
+    return {
+        x, y, rotation,
+        vx: state.vx + 0.5 * (a0.ax + a1.ax) * dt,
+        vy: state.vy + 0.5 * (a0.ay + a1.ay) * dt,
+        angularVelocity: state.angularVelocity + 0.5 * (a0.alpha + a1.alpha) * dt
+    };
+};
+
+// Classic fourth-order Runge-Kutta
+const rungeKutta4 = (state, accelerationAt, dt) => {
+    const k1 = derivative(state, accelerationAt);
+    const k2 = derivative(advance(state, k1, dt / 2), accelerationAt);
+    const k3 = derivative(advance(state, k2, dt / 2), accelerationAt);
+    const k4 = derivative(advance(state, k3, dt), accelerationAt);
+    const weighted = {};
+    for (const key of ['vx', 'vy', 'angularVelocity', 'ax', 'ay', 'alpha']) {
+        weighted[key] = (k1[key] + 2 * k2[key] + 2 * k3[key] + k4[key]) / 6;
+    }
+    return advance(state, weighted, dt);
+};
+
+const integrators = {
+    'explicit-euler': explicitEuler,
+    'semi-implicit-euler': semiImplicitEuler,
+    'velocity-verlet': velocityVerlet,
+    'rk4': rungeKutta4
+};
+
+const getIntegrator = (name) => {
+    const integrator = integrators[name];
+    if (!integrator) {
+        throw new Error(`Unknown integrator: ${name} (expected one of ${Object.keys(integrators).join(', ')})`);
+    }
+    return integrator;
+};
+
+export { explicitEuler, semiImplicitEuler, velocityVerlet, rungeKutta4, integrators, getIntegrator };
@@ -0,0 +1,445 @@
+// Joints: constraints linking two bodies, or a body and a fixed point { x, y } in the world.
+// The world solves them every step alongside the contacts: prepare() once per step, then
+// solveVelocity() a few times with accumulated impulses, and after the positions are
+// integrated solvePosition() pulls any drift back onto the constraint. Anchors are given
+// as world points when the joint is created and then move and turn with their body.
+// Each joint exposes the force it carried over the last step as tension (pixels, kg and
+// seconds like the rest of the sim; divide by PPM for newtons).
+
+// Inverse mass and inverse moment of inertia of a joint end; fixed points, static and
+// kinematic bodies are immovable
+const getInverseMass = (body) => body && body.bodyType === 'dynamic' ? 1 / body.mass : 0;
+
+const getInverseInertia = (body) => {
+    if (!body || body.bodyType !== 'dynamic') return 0;
+    const inertia = body.inertia;
+    return inertia > 0 ? 1 / inertia : 0;
+};
+
+const rotate = (x, y, angle) => {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return { x: x * cos - y * sin, y: x * sin + y * cos };
+};
+
+const cross = (ax, ay, bx, by) => ax * by - ay * bx;
+
+const MIN_SEGMENT_LENGTH = 1; // pixels; a pulley's anchor stops this close to its wheel
+
+// One end of a joint: a body with an anchor in its own frame (offset from the center of
+// mass before rotation), or a fixed world point when body is null
+class JointEnd {
+    constructor(target, anchor = null)
+    {
+        if (target && target.getCenter) {
+            this.body = target;
+            const center = target.getCenter();
+            const point = anchor || center;
+            this.local = rotate(point.x - center.x, point.y - center.y, -target.rotation);
+        } else {
+            this.body = null;
+            this.local = { x: target.x, y: target.y };
+        }
+        this.invMass = getInverseMass(this.body);
+        this.invInertia = getInverseInertia(this.body);
+    }
+
+    // Lever arm from the center of mass to the anchor, in world orientation
+    getArm() {
+        return this.body ? rotate(this.local.x, this.local.y, this.body.rotation) : { x: 0, y: 0 };
+    }
+
+    getPoint() {
+        if (!this.body) return { ...this.local };
+        const center = this.body.getCenter();
+        const arm = this.getArm();
+        return { x: center.x + arm.x, y: center.y + arm.y };
+    }
+
+    // Where a turning body carries the anchor in dt beyond the straight line v + w x r
+    // predicts: about -w^2 r dt^2 / 2, towards the center of mass
+    getTurnDrift(arm, dt) {
+        if (!this.body) return { x: 0, y: 0 };
+        const w2 = this.body.angularVelocity * this.body.angularVelocity;
+        return { x: -w2 * arm.x * dt * dt / 2, y: -w2 * arm.y * dt * dt / 2 };
+    }
+
+    // Velocity of the anchor point: v + w x r
+    getVelocity(arm) {
+        if (!this.body) return { x: 0, y: 0 };
+        return {
+            x: this.body.vx - this.body.angularVelocity * arm.y,
+            y: this.body.vy + this.body.angularVelocity * arm.x
+        };
+    }
+
+    applyImpulse(px, py, arm) {
+        if (!this.body) return;
+        this.body.vx += px * this.invMass;
+        this.body.vy += py * this.invMass;
+        this.body.angularVelocity += cross(arm.x, arm.y, px, py) * this.invInertia;
+    }
+
+    // Position-level counterpart of applyImpulse, used to remove drift
+    applyCorrection(px, py, arm) {
+        if (!this.body) return;
+        this.body.x += px * this.invMass;
+        this.body.y += py * this.invMass;
+        this.body.rotation += cross(arm.x, arm.y, px, py) * this.invInertia;
+    }
+
+    // Inverse effective mass of this end along unit direction n
+    getInverseMassAlong(arm, nx, ny) {
+        const rn = cross(arm.x, arm.y, nx, ny);
+        return this.invMass + rn * rn * this.invInertia;
+    }
+}
+
+class Joint {
+    type = 'joint';
+    collideConnected = false; // whether the two bodies still collide with each other
+    tension = 0; // force carried over the last step
+
+    constructor(a, b, { collideConnected = false } = {})
+    {
+        this.collideConnected = collideConnected;
+        this.bodies = [a, b].filter(end => end && end.getCenter);
+    }
+
+    involves(obj) {
+        return this.bodies.includes(obj);
+    }
+
+    prepare(dt) {}
+
+    solveVelocity() {}
+
+    solvePosition() {}
+
+    // Forces the joint put on obj over the last step, { x, y, point, label } like a force
+    // generator's; [] before the first step
+    getForces(obj) {
+        return [];
+    }
+}
+
+// Keeps the anchors at a fixed distance: a rigid, massless rod
+class DistanceJoint extends Joint {
+    type = 'distance';
+
+    constructor(a, b, { anchorA = null, anchorB = null, length = null, collideConnected } = {})
+    {
+        super(a, b, { collideConnected });
+        this.endA = new JointEnd(a, anchorA);
+        this.endB = new JointEnd(b, anchorB);
+        this.length = length !== null ? length : this.getCurrentLength();
+    }
+
+    getCurrentLength() {
+        const pa = this.endA.getPoint();
+        const pb = this.endB.getPoint();
+        return Math.hypot(pb.x - pa.x, pb.y - pa.y);
+    }
+
+    // A rod pushes and pulls; a rope only pulls, and only when taut
+    isOneSided() {
+        return false;
+    }
+
+    getAxis() {
+        const armA = this.endA.getArm();
+        const armB = this.endB.getArm();
+        const pa = this.endA.getPoint();
+        const pb = this.endB.getPoint();
+        const dx = pb.x - pa.x;
+        const dy = pb.y - pa.y;
+        const current = Math.hypot(dx, dy);
+        // Coincident anchors have no direction; any axis will do
+        const n = current > 0 ? { x: dx / current, y: dy / current } : { x: 1, y: 0 };
+        return { armA, armB, n, current };
+    }
+
+    prepare(dt) {
+        this.dt = dt;
+        this.impulse = 0;
+        this.tension = 0;
+        const { armA, armB, n, current } = this.getAxis();
+        Object.assign(this, { armA, armB, n });
+        // A slack rope may close up to its slack this step before it starts pulling
+        this.slack = this.isOneSided() ? Math.min(current - this.length, 0) / dt : 0;
+        // Ends circling each other drift apart along the tangent by about vt^2 dt^2 / 2L per
+        // step; closing at that rate keeps the length without the position correction
+        // having to pull them back, which would otherwise bleed off kinetic energy
+        const va = this.endA.getVelocity(armA);
+        const vb = this.endB.getVelocity(armB);
+        const vt = (vb.x - va.x) * -n.y + (vb.y - va.y) * n.x;
+        this.centripetal = current > 0 ? vt * vt * dt / (2 * current) : 0;
+        const k = this.endA.getInverseMassAlong(armA, n.x, n.y) + this.endB.getInverseMassAlong(armB, n.x, n.y);
+        this.mass = k > 0 ? 1 / k : 0;
+    }
+
+    solveVelocity() {
+        if (this.mass === 0) return;
+        const { armA, armB, n } = this;
+        const va = this.endA.getVelocity(armA);
+        const vb = this.endB.getVelocity(armB);
+        const stretchRate = (vb.x - va.x) * n.x + (vb.y - va.y) * n.y + this.slack + this.centripetal;
+        let impulse = this.impulse - stretchRate * this.mass;
+        // Ropes can only pull the ends together (negative impulse along the axis)
+        if (this.isOneSided()) impulse = Math.min(impulse, 0);
+        const delta = impulse - this.impulse;
+        this.impulse = impulse;
+        this.endA.applyImpulse(-delta * n.x, -delta * n.y, armA);
+        this.endB.applyImpulse(delta * n.x, delta * n.y, armB);
+        this.tension = -this.impulse / this.dt;
+    }
+
+    solvePosition() {
+        const { armA, armB, n, current } = this.getAxis();
+        let error = current - this.length;
+        if (this.isOneSided()) error = Math.max(error, 0);
+        const k = this.endA.getInverseMassAlong(armA, n.x, n.y) + this.endB.getInverseMassAlong(armB, n.x, n.y);
+        if (error === 0 || k === 0) return;
+        const correction = -error / k;
+        this.endA.applyCorrection(-correction * n.x, -correction * n.y, armA);
+        this.endB.applyCorrection(correction * n.x, correction * n.y, armB);
+    }
+
+    getForces(obj) {
+        if (!this.dt || !this.involves(obj)) return [];
+        // Positive tension pulls each end towards the other
+        const end = obj === this.endA.body ? this.endA : this.endB;
+        const sign = end === this.endA ? 1 : -1;
+        return [{ x: sign * this.tension * this.n.x, y: sign * this.tension * this.n.y, point: end.getPoint(), label: 'tension' }];
+    }
+}
+
+// Inextensible rope: a distance joint that only resists stretching beyond length
+class RopeJoint extends DistanceJoint {
+    type = 'rope';
+
+    isOneSided() {
+        return true;
+    }
+}
+
+// Pins the two anchors together at pivot while leaving the bodies free to turn about it.
+// With b a fixed point the body swings about that point.
+class RevoluteJoint extends Joint {
+    type = 'revolute';
+    force = { x: 0, y: 0 }; // reaction force on b over the last step
+
+    constructor(a, b, { pivot = null, collideConnected } = {})
+    {
+        super(a, b, { collideConnected });
+        if (!pivot) {
+            if (b && b.getCenter) throw new Error('RevoluteJoint between two bodies needs a pivot point');
+            pivot = b;
+        }
+        this.pivot = { x: pivot.x, y: pivot.y };
+        this.endA = new JointEnd(a, pivot);
+        this.endB = new JointEnd(b && b.getCenter ? b : pivot, pivot);
+    }
+
+    // Inverse of the 2x2 effective mass matrix for the point constraint
+    getInverseMassMatrix(armA, armB) {
+        const ia = this.endA.invInertia;
+        const ib = this.endB.invInertia;
+        const m = this.endA.invMass + this.endB.invMass;
+        const k11 = m + ia * armA.y * armA.y + ib * armB.y * armB.y;
+        const k12 = -ia * armA.x * armA.y - ib * armB.x * armB.y;
+        const k22 = m + ia * armA.x * armA.x + ib * armB.x * armB.x;
+        const det = k11 * k22 - k12 * k12;
+        if (det === 0) return null;
+        return { k11: k22 / det, k12: -k12 / det, k22: k11 / det };
+    }
+
+    prepare(dt) {
+        this.dt = dt;
+        this.impulse = { x: 0, y: 0 };
+        this.force = { x: 0, y: 0 };
+        this.tension = 0;
+        this.armA = this.endA.getArm();
+        this.armB = this.endB.getArm();
+        this.inverseMass = this.getInverseMassMatrix(this.armA, this.armB);
+        // Turning bodies swing their anchors off the straight-line prediction; aim for the
+        // relative velocity that cancels that, as DistanceJoint does for circling ends
+        const driftA = this.endA.getTurnDrift(this.armA, dt);
+        const driftB = this.endB.getTurnDrift(this.armB, dt);
+        this.bias = { x: (driftB.x - driftA.x) / dt, y: (driftB.y - driftA.y) / dt };
+    }
+
+    solveVelocity() {
+        if (!this.inverseMass) return;
+        const { armA, armB } = this;
+        const va = this.endA.getVelocity(armA);
+        const vb = this.endB.getVelocity(armB);
+        const dvx = vb.x - va.x + this.bias.x;
+        const dvy = vb.y - va.y + this.bias.y;
+        const { k11, k12, k22 } = this.inverseMass;
+        const px = -(k11 * dvx + k12 * dvy);
+        const py = -(k12 * dvx + k22 * dvy);
+        this.impulse.x += px;
+        this.impulse.y += py;
+        this.endA.applyImpulse(-px, -py, armA);
+        this.endB.applyImpulse(px, py, armB);
+        this.force = { x: this.impulse.x / this.dt, y: this.impulse.y / this.dt };
+        this.tension = Math.hypot(this.force.x, this.force.y);
+    }
+
+    solvePosition() {
+        const armA = this.endA.getArm();
+        const armB = this.endB.getArm();
+        const pa = this.endA.getPoint();
+        const pb = this.endB.getPoint();
+        const inverseMass = this.getInverseMassMatrix(armA, armB);
+        if (!inverseMass) return;
+        const ex = pb.x - pa.x;
+        const ey = pb.y - pa.y;
+        const px = -(inverseMass.k11 * ex + inverseMass.k12 * ey);
+        const py = -(inverseMass.k12 * ex + inverseMass.k22 * ey);
+        this.endA.applyCorrection(-px, -py, armA);
+        this.endB.applyCorrection(px, py, armB);
+    }
+
+    // Current pivot position (moves with the bodies)
+    getPivot() {
+        return this.endA.getPoint();
+    }
+
+    getForces(obj) {
+        if (!this.dt || !this.involves(obj)) return [];
+        const sign = obj === this.endB.body ? 1 : -1;
+        return [{ x: sign * this.force.x, y: sign * this.force.y, point: this.getPivot(), label: 'pivot' }];
+    }
+}
+
+// Ideal pulley: a massless, frictionless rope from anchor A over fixed wheel groundA, then
+// from wheel groundB down to anchor B (the same point for a single wheel), with
+// lengthA + ratio * lengthB never exceeding the rope length
+class PulleyJoint extends Joint {
+    type = 'pulley';
+    directions = { a: { x: 0, y: 1 }, b: { x: 0, y: 1 } }; // of each segment, kept while it has no length
+    stops = []; // the wheel stops of the step, see prepareStop()
+
+    constructor(a, b, { groundA, groundB = groundA, anchorA = null, anchorB = null, ratio = 1, length = null, collideConnected = true } = {})
+    {
+        super(a, b, { collideConnected });
+        if (!groundA) throw new Error('PulleyJoint needs a groundA wheel position');
+        if (!(ratio > 0)) throw new Error('PulleyJoint ratio must be positive');
+        this.groundA = { x: groundA.x, y: groundA.y };
+        this.groundB = { x: groundB.x, y: groundB.y };
+        this.endA = new JointEnd(a, anchorA);
+        this.endB = new JointEnd(b, anchorB);
+        this.ratio = ratio;
+        const { lengthA, lengthB } = this.getSegments();
+        this.length = length !== null ? length : lengthA + ratio * lengthB;
+    }
+
+    // Rope segments from each wheel down to its anchor, with their directions
+    getSegments() {
+        const a = this.getSegment(this.endA.getPoint(), this.groundA, 'a');
+        const b = this.getSegment(this.endB.getPoint(), this.groundB, 'b');
+        return { armA: this.endA.getArm(), armB: this.endB.getArm(), lengthA: a.length, lengthB: b.length, uA: a.direction, uB: b.direction };
+    }
+
+    // A segment that has shrunk to nothing has no direction of its own; it keeps its last one
+    getSegment(point, wheel, key) {
+        const length = Math.hypot(point.x - wheel.x, point.y - wheel.y);
+        if (length > 1e-9) this.directions[key] = { x: (point.x - wheel.x) / length, y: (point.y - wheel.y) / length };
+        return { length, direction: this.directions[key] };
+    }
+
+    // An anchor can't be pulled through its wheel: a one-sided limit pushes it back out along
+    // its segment once the gap left to the wheel has closed
+    prepareStop(end, arm, length, u, dt) {
+        const k = end.getInverseMassAlong(arm, u.x, u.y);
+        return { end, arm, u, gap: Math.max(length - MIN_SEGMENT_LENGTH, 0) / dt, mass: k > 0 ? 1 / k : 0, impulse: 0 };
+    }
+
+    getInverseEffectiveMass(segments) {
+        const { armA, armB, uA, uB } = segments;
+        return this.endA.getInverseMassAlong(armA, uA.x, uA.y) +
+            this.ratio * this.ratio * this.endB.getInverseMassAlong(armB, uB.x, uB.y);
+    }
+
+    prepare(dt) {
+        this.dt = dt;
+        this.impulse = 0;
+        this.tension = 0;
+        this.segments = this.getSegments();
+        const { lengthA, lengthB } = this.segments;
+        // A slack rope may close up to its slack this step before it starts pulling
+        this.slack = Math.min(lengthA + this.ratio * lengthB - this.length, 0) / dt;
+        const k = this.getInverseEffectiveMass(this.segments);
+        this.mass = k > 0 ? 1 / k : 0;
+        const { armA, armB, uA, uB } = this.segments;
+        this.stops = [
+            this.prepareStop(this.endA, armA, lengthA, uA, dt),
+            this.prepareStop(this.endB, armB, lengthB, uB, dt)
+        ];
+    }
+
+    solveVelocity() {
+        const { armA, armB, uA, uB } = this.segments;
+        if (this.mass !== 0) {
+            const va = this.endA.getVelocity(armA);
+            const vb = this.endB.getVelocity(armB);
+            const lengthRate = uA.x * va.x + uA.y * va.y + this.ratio * (uB.x * vb.x + uB.y * vb.y) + this.slack;
+            // The rope only pulls: accumulated impulse stays on the shortening side
+            const impulse = Math.min(this.impulse - lengthRate * this.mass, 0);
+            const delta = impulse - this.impulse;
+            this.impulse = impulse;
+            this.endA.applyImpulse(delta * uA.x, delta * uA.y, armA);
+            this.endB.applyImpulse(this.ratio * delta * uB.x, this.ratio * delta * uB.y, armB);
+            // Tension in segment A; segment B carries ratio times as much
+            this.tension = -this.impulse / this.dt;
+        }
+        // The stops only push, and only by as much as the gap can't absorb this step
+        this.stops.forEach(stop => {
+            if (stop.mass === 0) return;
+            const v = stop.end.getVelocity(stop.arm);
+            const impulse = Math.max(stop.impulse - (stop.u.x * v.x + stop.u.y * v.y + stop.gap) * stop.mass, 0);
+            const delta = impulse - stop.impulse;
+            stop.impulse = impulse;
+            stop.end.applyImpulse(delta * stop.u.x, delta * stop.u.y, stop.arm);
+        });
+    }
+
+    solvePosition() {
+        const segments = this.getSegments();
+        const { armA, armB, lengthA, lengthB, uA, uB } = segments;
+        const error = lengthA + this.ratio * lengthB - this.length;
+        const k = this.getInverseEffectiveMass(segments);
+        if (error > 0 && k !== 0) {
+            const correction = -error / k;
+            this.endA.applyCorrection(correction * uA.x, correction * uA.y, armA);
+            this.endB.applyCorrection(this.ratio * correction * uB.x, this.ratio * correction * uB.y, armB);
+        }
+        // Anchors pulled up against their wheels are put back at the stop
+        [[this.endA, armA, lengthA, uA], [this.endB, armB, lengthB, uB]].forEach(([end, arm, length, u]) => {
+            const kEnd = end.getInverseMassAlong(arm, u.x, u.y);
+            if (length >= MIN_SEGMENT_LENGTH || kEnd === 0) return;
+            const correction = (MIN_SEGMENT_LENGTH - length) / kEnd;
+            end.applyCorrection(correction * u.x, correction * u.y, arm);
+        });
+    }
+
+    getForces(obj) {
+        if (!this.dt || !this.involves(obj)) return [];
+        // The rope pulls each anchor towards its wheel, and a wheel stop pushes it back
+        const { uA, uB } = this.segments;
+        const [stopA, stopB] = this.stops;
+        const end = obj === this.endA.body ? this.endA : this.endB;
+        const u = obj === this.endA.body ? uA : uB;
+        const tension = obj === this.endA.body ? this.tension : this.ratio * this.tension;
+        const stop = obj === this.endA.body ? stopA : stopB;
+        const forces = [{ x: -tension * u.x, y: -tension * u.y, point: end.getPoint(), label: 'tension' }];
+        if (stop.impulse > 0) {
+            forces.push({ x: stop.impulse / this.dt * u.x, y: stop.impulse / this.dt * u.y, point: end.getPoint(), label: 'stop' });
+        }
+        return forces;
+    }
+}
+
+export { Joint, DistanceJoint, RopeJoint, RevoluteJoint, PulleyJoint };
@@ -0,0 +1,37 @@
+import { PPM } from './World.js';
+
+// Named materials: density in kg/m³ with the restitution and friction coefficients of the
+// surface. Bodies are 2D, so mass is the collider's area times a fixed thickness times the
+// density; a 30×30 pixel (0.3 m) wooden block weighs 0.3 × 0.3 × 0.1 × 600 = 5.4 kg. The
+// center of mass is the collider's centroid, which assumes the density is uniform.
+
+const THICKNESS = 0.1; // meters every body is taken to extend out of the screen
+
+const materials = {
+    steel: { density: 7850, restitution: 0.6, staticFriction: 0.74, kineticFriction: 0.57 },
+    wood: { density: 600, restitution: 0.4, staticFriction: 0.5, kineticFriction: 0.3 },
+    rubber: { density: 1100, restitution: 0.8, staticFriction: 1, kineticFriction: 0.8 },
+    ice: { density: 917, restitution: 0.1, staticFriction: 0.05, kineticFriction: 0.03 },
+    // A hollow ball as a solid disc: 0.62 kg at the regulation radius of 0.12 m
+    basketball: { density: 137, restitution: 0.75, staticFriction: 0.6, kineticFriction: 0.5 }
+};
+
+// Mass in kg of the body at its density, from its collider (or its box without one)
+const getMassFromDensity = (obj) => {
+    const area = obj.collider ? obj.collider.getArea() : obj.width * obj.height;
+    return area / (PPM * PPM) * THICKNESS * obj.density;
+};
+
+// Give the body a material's density and surface, and the mass that follows from them
+const applyMaterial = (obj, name) => {
+    const material = materials[name];
+    if (!material) throw new Error(`Unknown material: ${name}`);
+    obj.material = name;
+    obj.density = material.density;
+    obj.restitution = material.restitution;
+    obj.staticFriction = material.staticFriction;
+    obj.kineticFriction = material.kineticFriction;
+    obj.mass = getMassFromDensity(obj);
+};
+
+export { THICKNESS, materials, getMassFromDensity, applyMaterial };
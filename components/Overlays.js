@@ -0,0 +1,192 @@
+import { PPM, GRAVITY, isDynamic } from './World.js';
+
+// Debug and teaching overlays drawn over the bodies: velocity and acceleration vectors, every
+// force from World.getForceBreakdown() color-coded and labelled in newtons, contact points
+// and normals, and collider outlines. Setting focus to a body turns on the free-body diagram
+// of that body alone: its forces all start at its center of mass and the rest of the scene is
+// left to the caller to fade. Drawing takes a 2D canvas context; everything else is DOM-free.
+
+const FORCE_COLORS = {
+    gravity: '#ff4444',
+    normal: '#44aaff',
+    friction: '#ffaa00',
+    spring: '#44ff44',
+    applied: '#ff44ff',
+    thrust: '#ff44ff',
+    impulse: '#ff44ff',
+    tension: '#ffffff',
+    pivot: '#ffffff',
+    stop: '#ffffff',
+    drag: '#aaaaaa',
+    grab: '#ff8800'
+};
+const VELOCITY_COLOR = '#00ffff';
+const ACCELERATION_COLOR = '#ffff00';
+const CONTACT_COLOR = '#ff66cc';
+const COLLIDER_COLOR = '#00ff00';
+const WEIGHT_LENGTH = 40; // pixels of arrow per body weight (m g); acceleration g gets the same
+const VELOCITY_TIME = 0.1; // a velocity arrow is the distance covered in this many seconds
+const CONTACT_NORMAL_LENGTH = 15; // pixels
+const MIN_FORCE = 0.01; // newtons; smaller forces aren't drawn
+
+// Arrow from (x, y) along (dx, dy), with an optional label past its tip
+const drawArrow = (ctx, x, y, dx, dy, color, label) => {
+    const length = Math.hypot(dx, dy);
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+    ctx.lineTo(x + dx, y + dy);
+    ctx.stroke();
+    if (length > 0) {
+        const ux = dx / length;
+        const uy = dy / length;
+        const head = Math.min(8, length);
+        const tipX = x + dx;
+        const tipY = y + dy;
+        ctx.beginPath();
+        ctx.moveTo(tipX, tipY);
+        ctx.lineTo(tipX - ux * head - uy * head / 2, tipY - uy * head + ux * head / 2);
+        ctx.lineTo(tipX - ux * head + uy * head / 2, tipY - uy * head - ux * head / 2);
+        ctx.closePath();
+        ctx.fill();
+    }
+    if (label) {
+        // Just beyond the tip, on the side the arrow points to
+        const ux = length > 0 ? dx / length : 0;
+        const uy = length > 0 ? dy / length : -1;
+        ctx.textAlign = ux < -0.3 ? 'right' : ux > 0.3 ? 'left' : 'center';
+        ctx.fillText(label, x + dx + ux * 6, y + dy + uy * 6 + (uy > 0.3 ? 10 : 0));
+    }
+};
+
+// How far the body's interpolated pose is from its current one
+const getShift = (world, obj, alpha) => {
+    const pose = world.getInterpolatedPose(obj, alpha);
+    return { x: pose.x - obj.x, y: pose.y - obj.y };
+};
+
+class Overlays {
+    velocity = false;
+    acceleration = false;
+    forces = false;
+    contacts = false;
+    colliders = false;
+    focus = null; // body shown as a free-body diagram, or null for every body
+
+    // Whether anything is drawn at all
+    get active() {
+        return this.velocity || this.acceleration || this.forces || this.contacts || this.colliders || this.focus !== null;
+    }
+
+    // Follow the focused body into a rebuilt world, matching it by name
+    rebind(world) {
+        const name = this.focus?.name;
+        this.focus = name ? world.bodies.find(obj => obj.name === name) || null : null;
+    }
+
+    // Bodies the vectors are drawn for: the focused one, or every dynamic body
+    getBodies(world) {
+        if (this.focus) return world.bodies.includes(this.focus) ? [this.focus] : [];
+        return world.bodies.filter(isDynamic);
+    }
+
+    // Draw at the interpolated poses of world.getInterpolatedPose(obj, alpha)
+    draw(ctx, world, alpha = 1) {
+        ctx.save();
+        ctx.lineWidth = 2;
+        ctx.font = '11px sans-serif';
+        if (this.colliders) {
+            world.bodies.forEach(obj => {
+                if (!this.focus || obj === this.focus) this.drawCollider(ctx, world, obj, alpha);
+            });
+        }
+        if (this.contacts) this.drawContacts(ctx, world, alpha);
+        this.getBodies(world).forEach(obj => this.drawVectors(ctx, world, obj, alpha));
+        ctx.restore();
+    }
+
+    drawCollider(ctx, world, obj, alpha) {
+        if (!obj.collider) return;
+        const pose = { x: obj.x, y: obj.y, rotation: obj.rotation };
+        Object.assign(obj, world.getInterpolatedPose(obj, alpha));
+        ctx.strokeStyle = COLLIDER_COLOR;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 2]);
+        ctx.beginPath();
+        if (obj.collider.type === 'circle') {
+            // A radius marks the rotation
+            const center = obj.collider.getCenter(obj);
+            ctx.arc(center.x, center.y, obj.collider.radius, 0, Math.PI * 2);
+            ctx.moveTo(center.x, center.y);
+            ctx.lineTo(center.x + Math.cos(obj.rotation) * obj.collider.radius, center.y + Math.sin(obj.rotation) * obj.collider.radius);
+        } else {
+            const verts = obj.collider.getWorldVertices(obj);
+            verts.forEach((v, i) => i === 0 ? ctx.moveTo(v.x, v.y) : ctx.lineTo(v.x, v.y));
+            ctx.closePath();
+        }
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.lineWidth = 2;
+        Object.assign(obj, pose);
+    }
+
+    // Every contact point with the normal it pushes along, pointing from a into b
+    drawContacts(ctx, world, alpha) {
+        ctx.fillStyle = CONTACT_COLOR;
+        ctx.strokeStyle = CONTACT_COLOR;
+        ctx.lineWidth = 1;
+        world.contacts.forEach(contact => {
+            if (this.focus && contact.a !== this.focus && contact.b !== this.focus) return;
+            // Points move with b (a may be a wall)
+            const shift = getShift(world, contact.b, alpha);
+            contact.points.forEach(point => {
+                const x = point.x + shift.x;
+                const y = point.y + shift.y;
+                ctx.beginPath();
+                ctx.arc(x, y, 3, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.beginPath();
+                ctx.moveTo(x, y);
+                ctx.lineTo(x + contact.nx * CONTACT_NORMAL_LENGTH, y + contact.ny * CONTACT_NORMAL_LENGTH);
+                ctx.stroke();
+            });
+        });
+        ctx.lineWidth = 2;
+    }
+
+    drawVectors(ctx, world, obj, alpha) {
+        if (!this.velocity && !this.acceleration && !this.forces && !this.focus) return;
+        const shift = getShift(world, obj, alpha);
+        const center = obj.getCenter();
+        const cx = center.x + shift.x;
+        const cy = center.y + shift.y;
+        const forces = world.getForceBreakdown(obj);
+        // Forces are drawn to the scale of the body's weight, accelerations to that of g
+        const g = Math.hypot(world.gravity.x, world.gravity.y) || GRAVITY;
+        const forceScale = WEIGHT_LENGTH / (obj.mass * g);
+
+        if (this.forces || this.focus) {
+            forces.forEach(force => {
+                const magnitude = Math.hypot(force.x, force.y) / PPM;
+                if (magnitude < MIN_FORCE) return;
+                // In a free-body diagram every force starts at the center of mass
+                const from = force.point && !this.focus ? { x: force.point.x + shift.x, y: force.point.y + shift.y } : { x: cx, y: cy };
+                const color = FORCE_COLORS[force.label] || '#ffffff';
+                drawArrow(ctx, from.x, from.y, force.x * forceScale, force.y * forceScale, color, `${force.label} ${magnitude.toFixed(2)} N`);
+            });
+        }
+        if (this.velocity) {
+            const speed = Math.hypot(obj.vx, obj.vy) / PPM;
+            drawArrow(ctx, cx, cy, obj.vx * VELOCITY_TIME, obj.vy * VELOCITY_TIME, VELOCITY_COLOR, `v ${speed.toFixed(2)} m/s`);
+        }
+        if (this.acceleration) {
+            // Contacts and joints included, like the graphs and recordings
+            const { x: ax, y: ay } = world.getAcceleration(obj);
+            const scale = WEIGHT_LENGTH / g;
+            drawArrow(ctx, cx, cy, ax * scale, ay * scale, ACCELERATION_COLOR, `a ${(Math.hypot(ax, ay) / PPM).toFixed(2)} m/s²`);
+        }
+    }
+}
+
+export { Overlays, FORCE_COLORS };
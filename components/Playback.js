@@ -0,0 +1,108 @@
+// Playback controls for a running world: pause, single steps, slow motion and rewinding.
+// A snapshot of the world is kept every SNAPSHOT_INTERVAL simulated seconds. Going back
+// restores the nearest earlier snapshot and replays fixed steps from there. Stepping is
+// deterministic, so the replay matches what was shown the first time.
+
+const SNAPSHOT_INTERVAL = 0.1; // simulated seconds between snapshots
+const MAX_SNAPSHOTS = 600; // history kept: one minute at the default interval
+const MIN_TIME_SCALE = 0.1;
+const MAX_TIME_SCALE = 4;
+
+class Playback {
+    playing = true;
+    timeScale = 1; // simulated seconds per real second
+    snapshots = []; // { time, state } from world.saveState(), oldest first
+    endTime = 0; // latest simulated time recorded
+    alpha = 1; // interpolation between the last two steps, for rendering
+    initialState = null; // the world as it was handed over, for reset()
+    onTick = null; // called with the world after every new step, but not after replayed ones
+
+    constructor(world)
+    {
+        this.setWorld(world);
+    }
+
+    // Take over a new world, starting its timeline at its current state
+    setWorld(world) {
+        this.world = world;
+        this.initialState = world.saveState();
+        this.snapshots = [{ time: world.time, state: this.initialState }];
+        this.endTime = world.time;
+        this.alpha = 1;
+    }
+
+    // Earliest time still in the history
+    get startTime() {
+        return this.snapshots[0].time;
+    }
+
+    setTimeScale(scale) {
+        this.timeScale = Math.min(Math.max(scale, MIN_TIME_SCALE), MAX_TIME_SCALE);
+    }
+
+    // Feed real elapsed seconds; runs the world at timeScale while playing. Returns the
+    // interpolation alpha to render with.
+    advance(elapsed) {
+        if (this.playing) {
+            this.alpha = this.world.advance(elapsed * this.timeScale, this.onTick);
+            this.record();
+        }
+        return this.alpha;
+    }
+
+    // Pause and move exactly one fixed step forward
+    step() {
+        this.playing = false;
+        this.world.tick();
+        if (this.onTick) this.onTick(this.world);
+        this.record();
+        this.alpha = 1;
+    }
+
+    // Pause and move exactly one fixed step back
+    stepBack() {
+        this.seek(this.world.time - this.world.fixedTimestep);
+    }
+
+    // Pause at the given simulated time within the recorded history
+    seek(time) {
+        this.playing = false;
+        const world = this.world;
+        const target = Math.min(Math.max(time, this.startTime), this.endTime);
+        // Half a step of tolerance absorbs rounding in the accumulated times
+        const tolerance = world.fixedTimestep / 2;
+        let index = this.snapshots.length - 1;
+        while (index > 0 && this.snapshots[index].time > target + tolerance) index--;
+        world.restoreState(this.snapshots[index].state);
+        while (world.time + tolerance < target) world.tick();
+        this.alpha = 1;
+    }
+
+    // Back to the world as it was handed over, discarding the history
+    reset() {
+        this.world.restoreState(this.initialState);
+        this.snapshots = [{ time: this.world.time, state: this.initialState }];
+        this.endTime = this.world.time;
+        this.alpha = 1;
+    }
+
+    // Forget everything after the current time. Call when the user changes the course of
+    // the simulation (grabbing a body, say) so replays don't show the old future.
+    truncate() {
+        const time = this.world.time;
+        this.snapshots = this.snapshots.filter(snapshot => snapshot.time <= time);
+        this.endTime = time;
+    }
+
+    // Snapshot the world if it has got far enough past the last snapshot
+    record() {
+        const time = this.world.time;
+        this.endTime = Math.max(this.endTime, time);
+        const last = this.snapshots[this.snapshots.length - 1];
+        if (time < last.time + SNAPSHOT_INTERVAL - 1e-9) return;
+        this.snapshots.push({ time, state: this.world.saveState() });
+        if (this.snapshots.length > MAX_SNAPSHOTS) this.snapshots.shift();
+    }
+}
+
+export { Playback };
@@ -0,0 +1,26 @@
+import { PPM, getKineticEnergy } from './World.js';
+
+// Measurable quantities of a body in SI units, for graphs and readouts. The simulation works
+// in pixels with y pointing down; here lengths are in meters (PPM pixels each), y and every
+// vertical component point up, heights are measured from the ground (the bottom of the world
+// bounds) and angles are counterclockwise. Positions are those of the center of mass.
+const quantities = {
+    x: { label: 'x', unit: 'm', get: (obj, world) => obj.getCenter().x / PPM },
+    y: { label: 'y', unit: 'm', get: (obj, world) => (world.bounds.height - obj.getCenter().y) / PPM },
+    vx: { label: 'vx', unit: 'm/s', get: (obj) => obj.vx / PPM },
+    vy: { label: 'vy', unit: 'm/s', get: (obj) => -obj.vy / PPM },
+    speed: { label: '|v|', unit: 'm/s', get: (obj) => Math.hypot(obj.vx, obj.vy) / PPM },
+    ax: { label: 'ax', unit: 'm/s²', get: (obj, world) => world.getAcceleration(obj).x / PPM },
+    ay: { label: 'ay', unit: 'm/s²', get: (obj, world) => -world.getAcceleration(obj).y / PPM },
+    rotation: { label: 'θ', unit: 'rad', get: (obj) => -obj.rotation },
+    angularVelocity: { label: 'ω', unit: 'rad/s', get: (obj) => -obj.angularVelocity },
+    kineticEnergy: { label: 'KE', unit: 'J', get: (obj) => getKineticEnergy(obj) / (PPM * PPM) }
+};
+
+const getQuantity = (name, obj, world) => {
+    const quantity = quantities[name];
+    if (!quantity) throw new Error(`Unknown quantity: ${name}`);
+    return quantity.get(obj, world);
+};
+
+export { quantities, getQuantity };
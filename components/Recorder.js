@@ -0,0 +1,125 @@
+import { PPM } from './World.js';
+import { quantities } from './Quantities.js';
+
+// Records the trajectories of chosen bodies for export as CSV or JSON. Samples are in SI
+// units with y pointing up, as in Quantities.js. Accelerations and forces cover every force
+// of World.getForceBreakdown(), contacts and joints included, so a body resting on a table
+// reads 0 m/s². Forces are summed per label (gravity, normal, friction, ...). DOM-free.
+
+const POSITION_FIELDS = ['x', 'y', 'vx', 'vy'];
+const FIELDS = ['time', 'body', 'x', 'y', 'vx', 'vy', 'ax', 'ay', 'rotation'];
+
+// Quote a CSV field if it needs it
+const csvField = (value) => {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+class Recorder {
+    bodies = []; // bodies being recorded
+    recording = false;
+    interval = 0; // simulated seconds between samples; 0 samples every step
+    samples = []; // { time, body, x, y, vx, vy, ax, ay, rotation, forces: { label: { x, y } } }, oldest first
+    lastSampleTime = -Infinity;
+
+    track(obj) {
+        if (!this.bodies.includes(obj)) this.bodies.push(obj);
+    }
+
+    untrack(obj) {
+        this.bodies = this.bodies.filter(body => body !== obj);
+    }
+
+    // Samples per simulated second; 0 records every step
+    setRate(rate) {
+        if (typeof rate !== 'number' || !Number.isFinite(rate) || rate < 0) {
+            throw new Error(`Sampling rate must be a number of samples per second, got ${rate}`);
+        }
+        this.interval = rate === 0 ? 0 : 1 / rate;
+    }
+
+    // Start a new recording at the world's current state, discarding the previous one
+    start(world) {
+        this.recording = true;
+        this.samples = [];
+        this.lastSampleTime = -Infinity;
+        this.sample(world);
+    }
+
+    stop() {
+        this.recording = false;
+    }
+
+    // Follow the recorded bodies into a rebuilt world, matching them by name; a recording in
+    // progress stops, since its bodies are gone
+    rebind(world) {
+        this.bodies = this.bodies
+            .map(obj => obj.name ? world.bodies.find(other => other.name === obj.name) : null)
+            .filter(Boolean);
+        this.stop();
+    }
+
+    // Record the bodies if the sampling interval has passed. Samples later than the world's
+    // time are dropped first, so a recording continued after rewinding follows the new course.
+    sample(world) {
+        if (!this.recording) return;
+        const time = world.time;
+        while (this.samples.length > 0 && this.samples[this.samples.length - 1].time > time) this.samples.pop();
+        if (this.lastSampleTime > time) {
+            this.lastSampleTime = this.samples.length > 0 ? this.samples[this.samples.length - 1].time : -Infinity;
+        }
+        // Half a step of tolerance absorbs rounding in the accumulated times
+        const halfStep = world.fixedTimestep / 2;
+        if (time < this.lastSampleTime + Math.max(this.interval - halfStep, halfStep)) return;
+        this.lastSampleTime = time;
+        this.bodies.forEach(obj => {
+            if (!world.bodies.includes(obj)) return;
+            // Rounded to the microsecond, hiding the float error of summed steps
+            const sample = { time: Math.round(time * 1e6) / 1e6, body: obj.name || `body${world.bodies.indexOf(obj) + 1}` };
+            POSITION_FIELDS.forEach(name => { sample[name] = quantities[name].get(obj, world); });
+            const forces = {};
+            world.getForceBreakdown(obj).forEach(force => {
+                const total = forces[force.label] || (forces[force.label] = { x: 0, y: 0 });
+                total.x += force.x / PPM;
+                total.y -= force.y / PPM;
+            });
+            sample.ax = quantities.ax.get(obj, world);
+            sample.ay = quantities.ay.get(obj, world);
+            sample.rotation = quantities.rotation.get(obj, world);
+            sample.forces = forces;
+            this.samples.push(sample);
+        });
+    }
+
+    // Force labels over the whole recording, in order of first appearance
+    getForceLabels() {
+        const labels = [];
+        this.samples.forEach(sample => Object.keys(sample.forces).forEach(label => {
+            if (!labels.includes(label)) labels.push(label);
+        }));
+        return labels;
+    }
+
+    // One row per sample and body; each force label gets an x and a y column (0 where absent)
+    toCSV() {
+        const labels = this.getForceLabels();
+        const header = [...FIELDS, ...labels.flatMap(label => [`${label}_x`, `${label}_y`])];
+        const rows = this.samples.map(sample => [
+            ...FIELDS.map(field => sample[field]),
+            ...labels.flatMap(label => {
+                const force = sample.forces[label];
+                return force ? [force.x, force.y] : [0, 0];
+            })
+        ]);
+        return [header, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+    }
+
+    toJSON() {
+        return {
+            units: { time: 's', x: 'm', y: 'm', vx: 'm/s', vy: 'm/s', ax: 'm/s²', ay: 'm/s²', rotation: 'rad', forces: 'N' },
+            samples: this.samples
+        };
+    }
+}
+
+export { Recorder };
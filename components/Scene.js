@@ -0,0 +1,375 @@
+import GameObject from './GameObject.js';
+import { BoxCollider, CircleCollider, PolygonCollider, TriangleCollider } from './Collider.js';
+import World, { PPM, getPathPoint, getPathTime } from './World.js';
+import { SpringForce, DragForce, ThrustForce, ImpulseForce, GrabForce } from './ForceGenerators.js';
+import { DistanceJoint, RopeJoint, RevoluteJoint, PulleyJoint } from './Joints.js';
+import { validateScene } from './SceneValidation.js';
+import { materials, getMassFromDensity, applyMaterial } from './Materials.js';
+
+// Build a collider from its plain-object description
+const createCollider = (data) => {
+    if (!data) return null;
+    let collider;
+    switch (data.type) {
+        case 'box':
+            collider = new BoxCollider(data.offsetX, data.offsetY, data.width, data.height);
+            break;
+        case 'circle':
+            collider = new CircleCollider(data.offsetX, data.offsetY, data.radius);
+            break;
+        case 'triangle':
+            collider = new TriangleCollider(data.vertices, data.offsetX, data.offsetY);
+            break;
+        case 'polygon':
+            collider = new PolygonCollider(data.vertices, data.offsetX, data.offsetY);
+            break;
+        default:
+            throw new Error(`Unknown collider type: ${data.type}`);
+    }
+    if (data.sensor !== undefined) collider.sensor = data.sensor;
+    return collider;
+};
+
+// Build a GameObject from its plain-object description. A material supplies the density,
+// restitution and friction, a density the mass; fields given alongside override them.
+const createGameObject = (data) => {
+    const obj = new GameObject(data.x, data.y, data.width, data.height, data.mass, createCollider(data.collider));
+    if (data.material !== undefined) applyMaterial(obj, data.material);
+    if (data.density !== undefined) {
+        obj.density = data.density;
+        obj.mass = getMassFromDensity(obj);
+    }
+    if (data.mass !== undefined) obj.mass = data.mass;
+    if (data.name !== undefined) obj.name = data.name;
+    if (data.color !== undefined) obj.color = data.color;
+    if (data.spriteSrc !== undefined) obj.spriteSrc = data.spriteSrc;
+    if (data.bodyType !== undefined) obj.bodyType = data.bodyType;
+    if (data.gravityScale !== undefined) obj.gravityScale = data.gravityScale;
+    if (data.path !== undefined) obj.path = { loop: false, ...data.path, points: data.path.points.map(p => ({ x: p.x, y: p.y })) };
+    if (data.bullet !== undefined) obj.bullet = data.bullet;
+    if (data.vx !== undefined) obj.vx = data.vx;
+    if (data.vy !== undefined) obj.vy = data.vy;
+    if (data.rotation !== undefined) obj.rotation = data.rotation;
+    if (data.restitution !== undefined) obj.restitution = data.restitution;
+    if (data.staticFriction !== undefined) obj.staticFriction = data.staticFriction;
+    if (data.kineticFriction !== undefined) obj.kineticFriction = data.kineticFriction;
+    if (data.angularVelocity !== undefined) obj.angularVelocity = data.angularVelocity;
+    if (data.collisionLayer !== undefined) obj.collisionLayer = data.collisionLayer;
+    if (data.collisionMask !== undefined) obj.collisionMask = data.collisionMask;
+    // A body on a path starts where its path puts it, whatever its x and y say
+    if (obj.path) {
+        const start = getPathPoint(obj.path, getPathTime(obj.path, 0));
+        const center = obj.getCenter();
+        obj.x += start.x - center.x;
+        obj.y += start.y - center.y;
+    }
+    return obj;
+};
+
+// Build a force generator from its plain-object description; bodies are referenced by name
+const createForceGenerator = (data, world) => {
+    const findBody = (name) => {
+        const body = world.bodies.find(obj => obj.name === name);
+        if (!body) throw new Error(`Unknown body in ${data.type} force: ${name}`);
+        return body;
+    };
+    switch (data.type) {
+        case 'spring':
+            return new SpringForce(findBody(data.a), data.anchor || findBody(data.b), data);
+        case 'drag':
+            return new DragForce(data.bodies ? data.bodies.map(findBody) : null, data);
+        case 'thrust':
+            return new ThrustForce(findBody(data.body), data.force, data);
+        case 'impulse':
+            return new ImpulseForce(findBody(data.body), data.impulse, data.duration);
+        default:
+            throw new Error(`Unknown force type: ${data.type}`);
+    }
+};
+
+// Build a joint from its plain-object description. Ends are bodies by name (a, b) or fixed
+// points (anchor for the b end), other fields are the joint's options.
+const createJoint = (data, world) => {
+    const findBody = (name) => {
+        const body = world.bodies.find(obj => obj.name === name);
+        if (!body) throw new Error(`Unknown body in ${data.type} joint: ${name}`);
+        return body;
+    };
+    const a = findBody(data.a);
+    const b = data.b !== undefined ? findBody(data.b) : data.anchor;
+    if (!b) throw new Error(`${data.type} joint needs a body b or an anchor point`);
+    switch (data.type) {
+        case 'distance':
+            return new DistanceJoint(a, b, data);
+        case 'rope':
+            return new RopeJoint(a, b, data);
+        case 'revolute':
+            return new RevoluteJoint(a, b, data);
+        case 'pulley':
+            return new PulleyJoint(a, b, data);
+        default:
+            throw new Error(`Unknown joint type: ${data.type}`);
+    }
+};
+
+// Scenes give lengths in pixels, or in meters with "units": "m" (PPM pixels each). These
+// rescale every length-based field: positions, sizes, velocities, gravity, forces and
+// impulses by factor, and quadratic drag (force per speed squared) by its inverse. Masses,
+// angles, stiffness and the remaining coefficients have the same value in either unit.
+const scaleScene = (scene, factor) => {
+    // Rounded to the nanometer so meters don't come back as 0.30000000000000004
+    const length = (value) => typeof value === 'number' ? Math.round(value * factor * 1e9) / 1e9 : value;
+    const fields = (data, names, scale) => {
+        const scaled = { ...data };
+        names.forEach(name => {
+            if (data[name] !== undefined) scaled[name] = scale(data[name]);
+        });
+        return scaled;
+    };
+    const point = (p) => p && typeof p === 'object' ? fields(p, ['x', 'y'], length) : p;
+    const collider = (data) => data && fields(data, ['offsetX', 'offsetY', 'width', 'height', 'radius', 'vertices'],
+        (value) => Array.isArray(value) ? value.map(point) : length(value));
+    const path = (data) => ({
+        ...fields(data, ['speed'], length),
+        ...(Array.isArray(data.points) ? { points: data.points.map(point) } : {})
+    });
+    const result = { ...scene };
+    if (scene.world) {
+        result.world = fields(scene.world, ['penetrationSlop', 'sleepLinearThreshold'], length);
+        if (scene.world.gravity) result.world.gravity = point(scene.world.gravity);
+        if (scene.world.bounds) result.world.bounds = fields(scene.world.bounds, ['width', 'height'], length);
+    }
+    if (Array.isArray(scene.bodies)) {
+        result.bodies = scene.bodies.map(data => ({
+            ...fields(data, ['x', 'y', 'width', 'height', 'vx', 'vy'], length),
+            ...(data.collider ? { collider: collider(data.collider) } : {}),
+            ...(data.path ? { path: path(data.path) } : {})
+        }));
+    }
+    if (Array.isArray(scene.forces)) {
+        result.forces = scene.forces.map(data => {
+            const scaled = fields(data, ['anchor', 'force', 'point', 'impulse'], point);
+            if (data.restLength !== undefined) scaled.restLength = length(data.restLength);
+            if (typeof data.quadratic === 'number') scaled.quadratic = data.quadratic / factor;
+            return scaled;
+        });
+    }
+    if (Array.isArray(scene.joints)) {
+        result.joints = scene.joints.map(data => ({
+            ...fields(data, ['anchor', 'anchorA', 'anchorB', 'pivot', 'groundA', 'groundB'], point),
+            ...(data.length !== undefined ? { length: length(data.length) } : {})
+        }));
+    }
+    return result;
+};
+
+// The scene with its lengths in pixels, as the simulation uses them
+const sceneToPixels = (scene) => {
+    if (scene.units !== 'm') return scene;
+    const { units, ...rest } = scaleScene(scene, PPM);
+    return rest;
+};
+
+// The scene with its lengths in meters
+const sceneToMeters = (scene) => {
+    if (scene.units === 'm') return scene;
+    const { units, ...rest } = scaleScene(scene, 1 / PPM);
+    return { units: 'm', ...rest };
+};
+
+// Create a World populated from a scene description:
+// { units, world: {...}, bodies: [...], forces: [...], joints: [...] }
+// Throws an Error listing every problem when the description is invalid; the messages
+// are also on error.problems. defaults are world settings (in pixels) for whatever the
+// scene leaves out, overrides replace the scene's own.
+const loadScene = (scene, { defaults = {}, overrides = {} } = {}) => {
+    const problems = validateScene(scene);
+    if (problems.length > 0) {
+        const error = new Error(`Invalid scene:\n${problems.map(problem => `  ${problem}`).join('\n')}`);
+        error.problems = problems;
+        throw error;
+    }
+    const data = sceneToPixels(scene);
+    const world = new World({ ...defaults, ...data.world, ...overrides });
+    (data.bodies || []).forEach(body => world.add(createGameObject(body)));
+    (data.forces || []).forEach(force => world.addForceGenerator(createForceGenerator(force, world)));
+    (data.joints || []).forEach(joint => world.addJoint(createJoint(joint, world)));
+    return world;
+};
+
+// Plain-object description of a collider, the inverse of createCollider()
+const serializeCollider = (collider) => {
+    if (!collider) return undefined;
+    const offsets = { offsetX: collider.offsetX, offsetY: collider.offsetY };
+    let data;
+    switch (collider.type) {
+        case 'box':
+            data = { type: 'box', ...offsets, width: collider.width, height: collider.height };
+            break;
+        case 'circle':
+            data = { type: 'circle', ...offsets, radius: collider.radius };
+            break;
+        case 'triangle':
+        case 'polygon':
+            data = { type: collider.type, ...offsets, vertices: collider.vertices.map(v => ({ x: v.x, y: v.y })) };
+            break;
+        default:
+            throw new Error(`Unknown collider type: ${collider.type}`);
+    }
+    // Only sensors say so
+    if (collider.sensor) data.sensor = true;
+    return data;
+};
+
+// Plain-object description of a GameObject in its current state, the inverse of createGameObject()
+const serializeGameObject = (obj, name = obj.name) => {
+    // What the material and density supply is left out, so only overrides are written
+    const material = obj.material ? materials[obj.material] : null;
+    const own = (key) => material && obj[key] === material[key] ? undefined : obj[key];
+    const derivedMass = obj.density !== null ? getMassFromDensity(obj) : null;
+    const data = {
+        name,
+        x: obj.x,
+        y: obj.y,
+        width: obj.width,
+        height: obj.height,
+        material: obj.material || undefined,
+        density: own('density'),
+        // Infinite mass has no JSON form; such bodies load with the default mass
+        mass: Number.isFinite(obj.mass) && obj.mass !== derivedMass ? obj.mass : undefined,
+        color: obj.color,
+        spriteSrc: obj.spriteSrc || undefined,
+        bodyType: obj.bodyType,
+        gravityScale: obj.gravityScale,
+        path: obj.path ? { ...obj.path, points: obj.path.points.map(p => ({ x: p.x, y: p.y })) } : undefined,
+        bullet: obj.bullet,
+        vx: obj.vx,
+        vy: obj.vy,
+        rotation: obj.rotation,
+        angularVelocity: obj.angularVelocity,
+        restitution: own('restitution'),
+        staticFriction: own('staticFriction'),
+        kineticFriction: own('kineticFriction'),
+        // Layers are left out while they are the defaults, which collide with everything
+        collisionLayer: obj.collisionLayer !== 1 ? obj.collisionLayer : undefined,
+        collisionMask: obj.collisionMask !== 0xFFFFFFFF ? obj.collisionMask : undefined,
+        collider: serializeCollider(obj.collider)
+    };
+    // Leave unset optional fields out rather than writing nulls
+    Object.keys(data).forEach(key => {
+        if (data[key] === undefined || data[key] === null) delete data[key];
+    });
+    return data;
+};
+
+// Describe the current state of a world (settings, bodies with their velocities, forces
+// and joints) as a scene that loadScene() turns back into the same world. Bodies without a
+// name get one, since forces and joints refer to bodies by name.
+const exportScene = (world) => {
+    const names = new Map();
+    const taken = new Set(world.bodies.map(obj => obj.name).filter(Boolean));
+    world.bodies.forEach((obj, index) => {
+        let name = obj.name;
+        if (!name || [...names.values()].includes(name)) {
+            let n = index + 1;
+            while (taken.has(`body${n}`)) n++;
+            name = `body${n}`;
+            taken.add(name);
+        }
+        names.set(obj, name);
+    });
+    const point = (p) => ({ x: p.x, y: p.y });
+    // One end of a spring or joint: a body by name, or a fixed anchor point
+    const end = (target) => names.has(target) ? { b: names.get(target) } : { anchor: point(target) };
+
+    // A body held by the pointer is written where it is, without the hand holding it
+    const forces = world.forceGenerators.filter(generator => !(generator instanceof GrabForce)).map(generator => {
+        // Time-limited forces carry on for whatever is left of their duration
+        const remaining = generator.startTime + generator.duration - world.time;
+        if (generator instanceof SpringForce) {
+            return {
+                type: 'spring', a: names.get(generator.a), ...end(generator.b),
+                stiffness: generator.stiffness, restLength: generator.restLength, damping: generator.damping
+            };
+        }
+        if (generator instanceof DragForce) {
+            const data = { type: 'drag', linear: generator.linear, quadratic: generator.quadratic };
+            if (generator.bodies) data.bodies = generator.bodies.map(obj => names.get(obj));
+            return data;
+        }
+        if (generator instanceof ThrustForce) {
+            const data = { type: 'thrust', body: names.get(generator.body), force: point(generator.force), local: generator.local };
+            if (generator.point) data.point = point(generator.point);
+            if (Number.isFinite(generator.duration)) data.duration = remaining;
+            return data;
+        }
+        if (generator instanceof ImpulseForce) {
+            const fraction = remaining / generator.duration;
+            return {
+                type: 'impulse', body: names.get(generator.body),
+                impulse: { x: generator.impulse.x * fraction, y: generator.impulse.y * fraction },
+                duration: remaining
+            };
+        }
+        throw new Error(`Cannot export force generator: ${generator.constructor.name}`);
+    });
+
+    const joints = world.joints.map(joint => {
+        // Scenes always name the a end; a joint fixed at its a end is written the other way round
+        let { endA, endB } = joint;
+        if (!endA.body) [endA, endB] = [endB, endA];
+        const ends = { a: names.get(endA.body), ...(endB.body ? { b: names.get(endB.body) } : { anchor: endB.getPoint() }) };
+        const data = { type: joint.type, ...ends, collideConnected: joint.collideConnected };
+        if (joint instanceof DistanceJoint) {
+            Object.assign(data, { anchorA: endA.getPoint(), anchorB: endB.getPoint(), length: joint.length });
+        } else if (joint instanceof RevoluteJoint) {
+            data.pivot = joint.getPivot();
+            // A body pinned to the world is pinned at the pivot
+            if (!endB.body) data.anchor = data.pivot;
+        } else if (joint instanceof PulleyJoint) {
+            Object.assign(data, {
+                groundA: point(joint.groundA), groundB: point(joint.groundB),
+                anchorA: joint.endA.getPoint(), anchorB: joint.endB.getPoint(),
+                ratio: joint.ratio, length: joint.length
+            });
+        } else {
+            throw new Error(`Cannot export joint: ${joint.type}`);
+        }
+        return data;
+    });
+
+    const scene = {
+        world: {
+            gravity: point(world.gravity),
+            bounds: { width: world.bounds.width, height: world.bounds.height },
+            walls: { ...world.walls },
+            ground: { ...world.ground },
+            broadPhase: world.broadPhase.name,
+            ccdMotionThreshold: world.ccdMotionThreshold,
+            integrator: world.integrator,
+            fixedTimestep: world.fixedTimestep,
+            substeps: world.substeps,
+            solverIterations: world.solverIterations,
+            penetrationSlop: world.penetrationSlop,
+            correctionPercent: world.correctionPercent,
+            allowSleep: world.allowSleep,
+            sleepLinearThreshold: world.sleepLinearThreshold,
+            sleepAngularThreshold: world.sleepAngularThreshold,
+            timeToSleep: world.timeToSleep
+        },
+        bodies: world.bodies.map(obj => {
+            const data = serializeGameObject(obj, names.get(obj));
+            // The scene starts at time 0, so a path carries on from where it has got to
+            if (data.path && getPathTime(obj.path, world.time) > 0) data.path.time = getPathTime(obj.path, world.time);
+            return data;
+        })
+    };
+    if (forces.length > 0) scene.forces = forces;
+    if (joints.length > 0) scene.joints = joints;
+    return scene;
+};
+
+export {
+    createCollider, createGameObject, createForceGenerator, createJoint, loadScene,
+    serializeCollider, serializeGameObject, exportScene, sceneToPixels, sceneToMeters
+};
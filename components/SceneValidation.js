@@ -0,0 +1,282 @@
+import { PolygonCollider } from './Collider.js';
+import { integrators } from './Integrators.js';
+import { materials } from './Materials.js';
+
+// Checks a scene description (see "Scene format" in the README) before anything is built
+// from it. validateScene() returns a list of readable messages, one per problem, each
+// starting with the path of the offending value, e.g.
+//   bodies[2].collider.radius: expected a positive number, got -5
+// An empty list means the scene can be loaded.
+
+const describe = (value) => {
+    if (typeof value === 'string') return `"${value}"`;
+    if (Array.isArray(value)) return 'an array';
+    if (value === null) return 'null';
+    if (typeof value === 'object') return 'an object';
+    return String(value);
+};
+
+// Field validators: each takes (value, path, errors) and pushes messages for bad values
+const number = ({ min = -Infinity, max = Infinity, positive = false, integer = false } = {}) => (value, path, errors) => {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        errors.push(`${path}: expected a number, got ${describe(value)}`);
+    } else if (positive && value <= 0) {
+        errors.push(`${path}: expected a positive number, got ${value}`);
+    } else if (integer && !Number.isInteger(value)) {
+        errors.push(`${path}: expected a whole number, got ${value}`);
+    } else if (value < min || value > max) {
+        const range = max === Infinity ? `at least ${min}` : `between ${min} and ${max}`;
+        errors.push(`${path}: expected a number ${range}, got ${value}`);
+    }
+};
+
+const string = () => (value, path, errors) => {
+    if (typeof value !== 'string') errors.push(`${path}: expected a string, got ${describe(value)}`);
+};
+
+const boolean = () => (value, path, errors) => {
+    if (typeof value !== 'boolean') errors.push(`${path}: expected true or false, got ${describe(value)}`);
+};
+
+const oneOf = (options) => (value, path, errors) => {
+    if (!options.includes(value)) {
+        errors.push(`${path}: expected one of ${options.map(o => `"${o}"`).join(', ')}, got ${describe(value)}`);
+    }
+};
+
+// A field that no longer exists, with what to write instead
+const replaced = (advice) => (value, path, errors) => {
+    errors.push(`${path}: no longer supported; ${advice}`);
+};
+
+// Edit distance, to suggest the intended name for a misspelled field
+const editDistance = (a, b) => {
+    const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const above = row[j];
+            row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+            diagonal = above;
+        }
+    }
+    return row[b.length];
+};
+
+// An object with known fields; anything else is reported, with a suggestion when it looks
+// like a typo of a known field
+const object = (fields, required = []) => (value, path, errors) => {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        errors.push(`${path || 'scene'}: expected an object, got ${describe(value)}`);
+        return;
+    }
+    const at = (key) => path ? `${path}.${key}` : key;
+    for (const key of required) {
+        if (value[key] === undefined) errors.push(`${at(key)}: required`);
+    }
+    for (const [key, fieldValue] of Object.entries(value)) {
+        // Fields set to undefined from code count as left out, as they do when loading
+        if (fieldValue === undefined) continue;
+        const validate = fields[key];
+        if (validate) {
+            validate(fieldValue, at(key), errors);
+            continue;
+        }
+        const suggestion = Object.keys(fields).find(known => editDistance(key.toLowerCase(), known.toLowerCase()) <= 2);
+        errors.push(`${at(key)}: unknown field${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+    }
+};
+
+const arrayOf = (validateItem, { minLength = 0 } = {}) => (value, path, errors) => {
+    if (!Array.isArray(value)) {
+        errors.push(`${path}: expected an array, got ${describe(value)}`);
+        return;
+    }
+    if (value.length < minLength) errors.push(`${path}: expected at least ${minLength} items, got ${value.length}`);
+    value.forEach((item, index) => validateItem(item, `${path}[${index}]`, errors));
+};
+
+const point = object({ x: number(), y: number() }, ['x', 'y']);
+
+// Objects whose allowed fields depend on their "type"
+const tagged = (kind, variants) => (value, path, errors) => {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        errors.push(`${path}: expected an object, got ${describe(value)}`);
+        return;
+    }
+    const variant = variants[value.type];
+    if (!variant) {
+        const types = Object.keys(variants).map(t => `"${t}"`).join(', ');
+        errors.push(`${path}.type: expected a ${kind} type (${types}), got ${describe(value.type)}`);
+        return;
+    }
+    const { fields, required = [], check } = variant;
+    object({ type: string(), ...fields }, required)(value, path, errors);
+    if (check) check(value, path, errors);
+};
+
+// Fields every collider type takes
+const colliderFields = { offsetX: number(), offsetY: number(), sensor: boolean() };
+
+const collider = tagged('collider', {
+    box: { fields: { ...colliderFields, width: number({ positive: true }), height: number({ positive: true }) }, required: ['width', 'height'] },
+    circle: { fields: { ...colliderFields, radius: number({ positive: true }) }, required: ['radius'] },
+    triangle: {
+        fields: { ...colliderFields, vertices: arrayOf(point) },
+        check: (value, path, errors) => {
+            if (!Array.isArray(value.vertices)) return;
+            if (value.vertices.length !== 3) {
+                errors.push(`${path}.vertices: a triangle needs exactly 3 vertices, got ${value.vertices.length}`);
+                return;
+            }
+            const valid = value.vertices.every(v => v && Number.isFinite(v.x) && Number.isFinite(v.y));
+            if (valid && !PolygonCollider.isConvex(value.vertices)) {
+                errors.push(`${path}.vertices: the triangle's vertices must not be collinear`);
+            }
+        }
+    },
+    polygon: {
+        fields: { ...colliderFields, vertices: arrayOf(point, { minLength: 3 }) },
+        required: ['vertices'],
+        check: (value, path, errors) => {
+            const valid = Array.isArray(value.vertices) && value.vertices.length >= 3 &&
+                value.vertices.every(v => v && Number.isFinite(v.x) && Number.isFinite(v.y));
+            if (valid && !PolygonCollider.isConvex(value.vertices)) {
+                errors.push(`${path}.vertices: the polygon must be convex`);
+            }
+        }
+    }
+});
+
+const coefficient = number({ min: 0, max: 1 });
+const friction = number({ min: 0 });
+const layerBits = number({ min: 0, max: 0xFFFFFFFF, integer: true });
+
+const body = object({
+    name: string(),
+    x: number(),
+    y: number(),
+    width: number({ positive: true }),
+    height: number({ positive: true }),
+    mass: number({ positive: true }),
+    material: oneOf(Object.keys(materials)),
+    density: number({ positive: true }),
+    color: string(),
+    spriteSrc: string(),
+    bodyType: oneOf(['dynamic', 'kinematic', 'static']),
+    gravityScale: number(),
+    hasGravity: replaced('use "bodyType": "static" for fixed ramps and floors, or "gravityScale": 0 for bodies that float'),
+    path: object({ points: arrayOf(point, { minLength: 1 }), speed: number({ min: 0 }), loop: boolean(), time: number({ min: 0 }) }, ['points', 'speed']),
+    bullet: boolean(),
+    vx: number(),
+    vy: number(),
+    rotation: number(),
+    angularVelocity: number(),
+    restitution: coefficient,
+    staticFriction: friction,
+    kineticFriction: friction,
+    collisionLayer: layerBits,
+    collisionMask: layerBits,
+    collider
+}, ['x', 'y']);
+
+const world = object({
+    gravity: object({ x: number(), y: number() }),
+    bounds: object({ width: number({ positive: true }), height: number({ positive: true }) }),
+    walls: object({ floor: boolean(), ceiling: boolean(), left: boolean(), right: boolean() }),
+    ground: object({ restitution: coefficient, staticFriction: friction, kineticFriction: friction }),
+    broadPhase: oneOf(['sap', 'grid', 'brute']),
+    ccdMotionThreshold: number({ positive: true }),
+    integrator: oneOf(Object.keys(integrators)),
+    fixedTimestep: number({ positive: true }),
+    substeps: number({ min: 1, integer: true }),
+    solverIterations: number({ min: 1, integer: true }),
+    penetrationSlop: number({ min: 0 }),
+    correctionPercent: coefficient,
+    allowSleep: boolean(),
+    sleepLinearThreshold: number({ min: 0 }),
+    sleepAngularThreshold: number({ min: 0 }),
+    timeToSleep: number({ min: 0 })
+});
+
+// Forces and joints name their bodies; one end may be a fixed anchor point instead
+const bodyOrAnchor = (value, path, errors) => {
+    if (value.b === undefined && value.anchor === undefined) errors.push(`${path}: needs a body "b" or an "anchor" point`);
+    if (value.b !== undefined && value.anchor !== undefined) errors.push(`${path}: give either "b" or "anchor", not both`);
+};
+
+const force = tagged('force', {
+    spring: {
+        fields: { a: string(), b: string(), anchor: point, stiffness: number({ min: 0 }), restLength: number({ min: 0 }), damping: number({ min: 0 }) },
+        required: ['a'],
+        check: bodyOrAnchor
+    },
+    drag: { fields: { bodies: arrayOf(string()), linear: number({ min: 0 }), quadratic: number({ min: 0 }) } },
+    thrust: {
+        fields: { body: string(), force: point, local: boolean(), point, duration: number({ positive: true }) },
+        required: ['body', 'force']
+    },
+    impulse: { fields: { body: string(), impulse: point, duration: number({ positive: true }) }, required: ['body', 'impulse'] }
+});
+
+const jointEnds = { a: string(), b: string(), anchor: point, collideConnected: boolean() };
+
+const joint = tagged('joint', {
+    distance: { fields: { ...jointEnds, anchorA: point, anchorB: point, length: number({ positive: true }) }, required: ['a'], check: bodyOrAnchor },
+    rope: { fields: { ...jointEnds, anchorA: point, anchorB: point, length: number({ positive: true }) }, required: ['a'], check: bodyOrAnchor },
+    revolute: {
+        fields: { ...jointEnds, pivot: point },
+        required: ['a'],
+        check: (value, path, errors) => {
+            bodyOrAnchor(value, path, errors);
+            if (value.b !== undefined && value.pivot === undefined) errors.push(`${path}.pivot: required when joining two bodies`);
+        }
+    },
+    pulley: {
+        fields: {
+            a: string(), b: string(), collideConnected: boolean(), groundA: point, groundB: point,
+            anchorA: point, anchorB: point, ratio: number({ positive: true }), length: number({ positive: true })
+        },
+        required: ['a', 'b', 'groundA']
+    }
+});
+
+const scene = object({
+    units: oneOf(['px', 'm']),
+    world,
+    bodies: arrayOf(body),
+    forces: arrayOf(force),
+    joints: arrayOf(joint)
+});
+
+// Body names referenced by forces and joints must exist, and names must be unique
+const checkReferences = (data, errors) => {
+    const names = new Set();
+    (Array.isArray(data.bodies) ? data.bodies : []).forEach((b, index) => {
+        if (!b || typeof b.name !== 'string') return;
+        if (names.has(b.name)) errors.push(`bodies[${index}].name: "${b.name}" is used by another body`);
+        names.add(b.name);
+    });
+    const checkName = (name, path) => {
+        if (typeof name === 'string' && !names.has(name)) errors.push(`${path}: no body named "${name}"`);
+    };
+    for (const key of ['forces', 'joints']) {
+        if (!Array.isArray(data[key])) continue;
+        data[key].forEach((item, index) => {
+            if (!item || typeof item !== 'object') return;
+            const path = `${key}[${index}]`;
+            ['a', 'b', 'body'].forEach(field => checkName(item[field], `${path}.${field}`));
+            if (Array.isArray(item.bodies)) item.bodies.forEach((name, i) => checkName(name, `${path}.bodies[${i}]`));
+        });
+    }
+};
+
+const validateScene = (data) => {
+    const errors = [];
+    scene(data, '', errors);
+    if (data && typeof data === 'object' && !Array.isArray(data)) checkReferences(data, errors);
+    return errors;
+};
+
+export { validateScene };
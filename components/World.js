@@ -0,0 +1,1103 @@
+import GameObject from './GameObject.js';
+import { collide } from './Collision.js';
+import { createBroadPhase } from './BroadPhase.js';
+import { getIntegrator } from './Integrators.js';
+
+const PPM = 100; // Pixels per meter
+const GRAVITY = 9.8 * PPM; // 9.8 m/s^2 in pixels
+const PENETRATION_SLOP = 0.5; // Overlap in pixels left uncorrected so resting contacts persist
+const CORRECTION_PERCENT = 0.8; // Fraction of the remaining overlap removed per step
+const CONTACT_ITERATIONS = 8; // Impulse passes over the points of a contact resolved on its own
+const RESTITUTION_THRESHOLD = 30; // Approach speed in pixels/s below which contacts don't bounce
+const BLOCK_CONDITION_LIMIT = 1000; // Two-point contacts worse conditioned than this are solved point by point
+const BLOCK_TOLERANCE = 1e-6; // Slack in pixels/s when checking a two-point solution
+const CONTACT_MARGIN = 1; // Floor contact points this close (in pixels) to touching already count
+const POINT_MERGE_DISTANCE = 1; // Contact points closer than this in pixels along the surface are merged
+const WARM_START_DISTANCE = 2; // Contact points closer than this in pixels to last step's are the same point
+const SWEEP_STEP_FRACTION = 0.25; // A swept body advances at most this fraction of its size per probe
+const MAX_SWEEP_PROBES = 64; // Upper bound on probes per swept body per step
+const TOI_ITERATIONS = 10; // Bisection passes refining the time of impact
+const MAX_FRAME_TIME = 0.25; // Longest real time advance() will catch up on, in seconds
+const JOINT_POSITION_ITERATIONS = 4; // Passes pulling drifted joints back together after moving
+const COLLISION_LOG_LENGTH = 20; // recent impacts kept in collisionLog
+// Walls: the normal each pushes bodies along, and the name it goes by in collision events
+const WALL_NORMALS = { floor: { x: 0, y: -1 }, ceiling: { x: 0, y: 1 }, left: { x: 1, y: 0 }, right: { x: -1, y: 0 } };
+const WALL_NAMES = { floor: 'ground', ceiling: 'ceiling', left: 'left wall', right: 'right wall' };
+// Body fields a step changes, saved and restored by saveState() / restoreState()
+const BODY_STATE_KEYS = ['x', 'y', 'rotation', 'vx', 'vy', 'angularVelocity', 'ax', 'ay', 'angularAcceleration', 'sleeping', 'sleepTime'];
+
+// Inverse moment of inertia, 0 for bodies that should not spin
+function getInverseInertia(obj) {
+    const inertia = obj.inertia;
+    return inertia > 0 ? 1 / inertia : 0;
+}
+
+// Coefficient of restitution for a pair: the bouncier surface wins
+function combinedRestitution(a, b) {
+    return Math.max(a.restitution, b.restitution);
+}
+
+// Friction coefficients for a pair: geometric mean, so a frictionless surface stays frictionless
+function combinedFriction(a, b) {
+    return {
+        static: Math.sqrt(a.staticFriction * b.staticFriction),
+        kinetic: Math.sqrt(a.kineticFriction * b.kineticFriction)
+    };
+}
+
+// Apply an impulse (jx, jy) at lever arm (rx, ry) from the center of mass
+function applyImpulse(obj, jx, jy, rx, ry, invMass, invInertia) {
+    obj.vx += jx * invMass;
+    obj.vy += jy * invMass;
+    obj.angularVelocity += (rx * jy - ry * jx) * invInertia;
+}
+
+// Relative velocity of the contact point on b with respect to the one on a
+function relativeVelocity(a, b, cp) {
+    return {
+        x: (b.vx - b.angularVelocity * cp.rby) - (a.vx - a.angularVelocity * cp.ray),
+        y: (b.vy + b.angularVelocity * cp.rbx) - (a.vy + a.angularVelocity * cp.rax)
+    };
+}
+
+// A contact between convex shapes spans at most a segment, so two points (its ends along
+// the tangent) carry it. Extra points, like the coincident corners of two aligned boxes,
+// only make the solver slower and lopsided; points at the same end are averaged.
+function reduceContactPoints(points, tx, ty) {
+    if (points.length <= 2) return points;
+    const along = points.map(p => p.x * tx + p.y * ty);
+    const min = Math.min(...along);
+    const max = Math.max(...along);
+    const average = (group) => ({
+        x: group.reduce((sum, p) => sum + p.x, 0) / group.length,
+        y: group.reduce((sum, p) => sum + p.y, 0) / group.length
+    });
+    const atMin = points.filter((p, i) => along[i] - min < POINT_MERGE_DISTANCE);
+    const atMax = points.filter((p, i) => max - along[i] < POINT_MERGE_DISTANCE);
+    if (max - min < POINT_MERGE_DISTANCE) return [average(points)];
+    return [average(atMin), average(atMax)];
+}
+
+// Contact constraint for one manifold (normal pointing from a to b). First separates the
+// bodies along the normal, leaving `slop` of overlap so resting contacts persist, then
+// works out the lever arm from each center of mass and the effective masses along the
+// normal and tangent for every contact point. The solver then revisits the points with
+// solveContact(), accumulating and clamping the impulses so several supporting corners
+// (and several stacked bodies) share the load instead of fighting each other. An inverse
+// mass of 0 makes that side immovable.
+function createContact(a, b, manifold, invMassA, invMassB, { slop = PENETRATION_SLOP, correctionPercent = CORRECTION_PERCENT } = {}) {
+    const { depth, points } = manifold;
+    const { x: nx, y: ny } = manifold.normal;
+    const invMassSum = invMassA + invMassB;
+    if (invMassSum === 0) return null;
+    const invInertiaA = invMassA === 0 ? 0 : getInverseInertia(a);
+    const invInertiaB = invMassB === 0 ? 0 : getInverseInertia(b);
+    const tx = -ny;
+    const ty = nx;
+    const restitution = combinedRestitution(a, b);
+
+    // Positional correction, heavier object moves less
+    const correction = Math.max(depth - slop, 0) * correctionPercent / invMassSum;
+    a.x -= nx * correction * invMassA;
+    a.y -= ny * correction * invMassA;
+    b.x += nx * correction * invMassB;
+    b.y += ny * correction * invMassB;
+
+    const centerA = a.getCenter();
+    const centerB = b.getCenter();
+    const contactPoints = reduceContactPoints(points, tx, ty).map(point => {
+        const cp = {
+            x: point.x,
+            y: point.y,
+            rax: point.x - centerA.x,
+            ray: point.y - centerA.y,
+            rbx: point.x - centerB.x,
+            rby: point.y - centerB.y,
+            normalImpulse: 0,
+            tangentImpulse: 0
+        };
+        const raCrossN = cp.rax * ny - cp.ray * nx;
+        const rbCrossN = cp.rbx * ny - cp.rby * nx;
+        const raCrossT = cp.rax * ty - cp.ray * tx;
+        const rbCrossT = cp.rbx * ty - cp.rby * tx;
+        cp.normalMass = 1 / (invMassSum + raCrossN * raCrossN * invInertiaA + rbCrossN * rbCrossN * invInertiaB);
+        cp.tangentMass = 1 / (invMassSum + raCrossT * raCrossT * invInertiaA + rbCrossT * rbCrossT * invInertiaB);
+        // Restitution: the approach speed that should come back out. Slow approaches don't
+        // bounce, so bouncy bodies can still come to rest
+        const rv = relativeVelocity(a, b, cp);
+        const vn = rv.x * nx + rv.y * ny;
+        cp.bounce = vn < -RESTITUTION_THRESHOLD ? -restitution * vn : 0;
+        return cp;
+    });
+
+    return {
+        a, b, nx, ny, tx, ty, invMassA, invMassB, invInertiaA, invInertiaB,
+        friction: combinedFriction(a, b),
+        points: contactPoints,
+        blockMass: getBlockMass(contactPoints, nx, ny, invMassSum, invInertiaA, invInertiaB)
+    };
+}
+
+// Effective mass matrix coupling the normal impulses of a two-point contact, so both can
+// be solved at once (see solveBlock). null when the points are too close to tell apart.
+function getBlockMass(points, nx, ny, invMassSum, invInertiaA, invInertiaB) {
+    if (points.length !== 2) return null;
+    const [p1, p2] = points;
+    const rn1A = p1.rax * ny - p1.ray * nx;
+    const rn1B = p1.rbx * ny - p1.rby * nx;
+    const rn2A = p2.rax * ny - p2.ray * nx;
+    const rn2B = p2.rbx * ny - p2.rby * nx;
+    const k11 = invMassSum + invInertiaA * rn1A * rn1A + invInertiaB * rn1B * rn1B;
+    const k22 = invMassSum + invInertiaA * rn2A * rn2A + invInertiaB * rn2B * rn2B;
+    const k12 = invMassSum + invInertiaA * rn1A * rn2A + invInertiaB * rn1B * rn2B;
+    const det = k11 * k22 - k12 * k12;
+    if (k11 * k11 >= BLOCK_CONDITION_LIMIT * det) return null;
+    return { k11, k12, k22, det };
+}
+
+// One solver pass over the points of a contact: momentum-conserving normal impulses and
+// Coulomb friction impulses, including the torque each produces about the centers of mass
+function solveContact(contact) {
+    const { a, b, nx, ny, tx, ty, invMassA, invMassB, invInertiaA, invInertiaB, friction } = contact;
+    const apply = (cp, jx, jy) => {
+        applyImpulse(a, -jx, -jy, cp.rax, cp.ray, invMassA, invInertiaA);
+        applyImpulse(b, jx, jy, cp.rbx, cp.rby, invMassB, invInertiaB);
+    };
+    const normalVelocity = (cp) => {
+        const rv = relativeVelocity(a, b, cp);
+        return rv.x * nx + rv.y * ny;
+    };
+
+    // Normal impulses: push apart only, never pull together. Two-point contacts are solved
+    // as a block when possible, anything else point by point.
+    if (!contact.blockMass || !solveBlock(contact, normalVelocity, apply)) {
+        for (const cp of contact.points) {
+            const normalImpulse = Math.max(cp.normalImpulse + (cp.bounce - normalVelocity(cp)) * cp.normalMass, 0);
+            const jn = normalImpulse - cp.normalImpulse;
+            cp.normalImpulse = normalImpulse;
+            apply(cp, jn * nx, jn * ny);
+        }
+    }
+
+    for (const cp of contact.points) {
+        // Friction opposes slip; static friction holds up to mu_s * N, past that it slides at mu_k * N
+        const rv = relativeVelocity(a, b, cp);
+        const vt = rv.x * tx + rv.y * ty;
+        let tangentImpulse = cp.tangentImpulse - vt * cp.tangentMass;
+        if (Math.abs(tangentImpulse) > friction.static * cp.normalImpulse) {
+            tangentImpulse = Math.sign(tangentImpulse) * friction.kinetic * cp.normalImpulse;
+        }
+        const jt = tangentImpulse - cp.tangentImpulse;
+        cp.tangentImpulse = tangentImpulse;
+        apply(cp, jt * tx, jt * ty);
+    }
+}
+
+// Solve the normal impulses of a two-point contact together, so neither corner takes more
+// than its share of the load (solved one after the other, the first corner to be visited
+// would, and the body would slowly twist). Finds the accumulated impulses x >= 0 with
+// relative normal velocities v = K x + b >= 0 and x_i * v_i = 0 by trying which points are
+// pushing: both, only the first, only the second, neither. Returns false if none fit.
+function solveBlock(contact, normalVelocity, apply) {
+    const { nx, ny } = contact;
+    const [p1, p2] = contact.points;
+    const { k11, k12, k22, det } = contact.blockMass;
+    const a1 = p1.normalImpulse;
+    const a2 = p2.normalImpulse;
+    // Velocities the current impulses would leave, minus those the impulses produced
+    const b1 = normalVelocity(p1) - p1.bounce - (k11 * a1 + k12 * a2);
+    const b2 = normalVelocity(p2) - p2.bounce - (k12 * a1 + k22 * a2);
+
+    const candidates = [
+        // Both points pushing: v = 0 at both
+        [(k12 * b2 - k22 * b1) / det, (k12 * b1 - k11 * b2) / det],
+        // Only the first
+        [-b1 / k11, 0],
+        // Only the second
+        [0, -b2 / k22],
+        // Neither
+        [0, 0]
+    ];
+    for (const [x1, x2] of candidates) {
+        if (x1 < 0 || x2 < 0) continue;
+        const v1 = k11 * x1 + k12 * x2 + b1;
+        const v2 = k12 * x1 + k22 * x2 + b2;
+        if ((x1 > 0 && Math.abs(v1) > BLOCK_TOLERANCE) || v1 < -BLOCK_TOLERANCE) continue;
+        if ((x2 > 0 && Math.abs(v2) > BLOCK_TOLERANCE) || v2 < -BLOCK_TOLERANCE) continue;
+        const d1 = x1 - a1;
+        const d2 = x2 - a2;
+        p1.normalImpulse = x1;
+        p2.normalImpulse = x2;
+        apply(p1, d1 * nx, d1 * ny);
+        apply(p2, d2 * nx, d2 * ny);
+        return true;
+    }
+    return false;
+}
+
+// Warm starting: a contact point that was also there last step (within
+// WARM_START_DISTANCE) starts from the impulses it ended with, applied up front. Resting
+// stacks then begin each step close to the solution instead of from zero, which is what
+// lets a tall tower carry its weight within a handful of solver iterations.
+function warmStart(contact, previousPoints) {
+    if (!previousPoints) return;
+    const { a, b, nx, ny, tx, ty, invMassA, invMassB, invInertiaA, invInertiaB } = contact;
+    for (const cp of contact.points) {
+        const previous = previousPoints.find(p => Math.hypot(p.x - cp.x, p.y - cp.y) < WARM_START_DISTANCE);
+        if (!previous) continue;
+        cp.normalImpulse = previous.normalImpulse;
+        cp.tangentImpulse = previous.tangentImpulse;
+        const jx = cp.normalImpulse * nx + cp.tangentImpulse * tx;
+        const jy = cp.normalImpulse * ny + cp.tangentImpulse * ty;
+        applyImpulse(a, -jx, -jy, cp.rax, cp.ray, invMassA, invInertiaA);
+        applyImpulse(b, jx, jy, cp.rbx, cp.rby, invMassB, invInertiaB);
+    }
+}
+
+// Resolve one contact on its own, outside the world's solver (e.g. at a time of impact)
+function resolveContact(a, b, manifold, invMassA, invMassB) {
+    const contact = createContact(a, b, manifold, invMassA, invMassB);
+    if (!contact) return null;
+    for (let i = 0; i < CONTACT_ITERATIONS; i++) {
+        solveContact(contact);
+    }
+    return contact;
+}
+
+// Layers and masks: two bodies collide only if each is on a layer the other's mask includes
+function canCollide(a, b) {
+    return (a.collisionLayer & b.collisionMask) !== 0 && (b.collisionLayer & a.collisionMask) !== 0;
+}
+
+function isSensor(obj) {
+    return !!obj.collider && obj.collider.sensor;
+}
+
+function isDynamic(obj) {
+    return obj.bodyType === 'dynamic';
+}
+
+// Static and kinematic bodies are immovable: nothing they touch can push them
+function getInverseMass(obj) {
+    return isDynamic(obj) ? 1 / obj.mass : 0;
+}
+
+function getPairInverseMasses(a, b) {
+    return { invMassA: getInverseMass(a), invMassB: getInverseMass(b) };
+}
+
+// A kinematic body on the move, which wakes the sleeping bodies it runs into
+function isPushing(obj) {
+    return obj.bodyType === 'kinematic' && (obj.vx !== 0 || obj.vy !== 0 || obj.angularVelocity !== 0);
+}
+
+// Point a kinematic path { points, speed, loop } reaches after time seconds: it starts at the
+// first point and runs through the others at speed, then either back to the first point and
+// round again (loop) or back along the same points, like a piston. A body's path.time says how
+// far along it the body already was when the world started (see getPathTime()).
+function getPathPoint(path, time) {
+    const points = path.loop ? [...path.points, path.points[0]] : path.points;
+    const lengths = points.slice(1).map((point, i) => Math.hypot(point.x - points[i].x, point.y - points[i].y));
+    const total = lengths.reduce((sum, length) => sum + length, 0);
+    if (total === 0 || !(path.speed > 0)) return { ...points[0] };
+    let distance = (path.speed * time) % (path.loop ? total : 2 * total);
+    if (distance > total) distance = 2 * total - distance;
+    for (let i = 0; i < lengths.length; i++) {
+        if (distance <= lengths[i] || i === lengths.length - 1) {
+            const t = lengths[i] > 0 ? Math.min(distance / lengths[i], 1) : 0;
+            return { x: points[i].x + (points[i + 1].x - points[i].x) * t, y: points[i].y + (points[i + 1].y - points[i].y) * t };
+        }
+        distance -= lengths[i];
+    }
+    return { ...points[0] };
+}
+
+// Seconds a body has travelled along its path at world time: its path.time, if it had set off
+// before the world started, plus the world's time
+function getPathTime(path, time) {
+    return (path.time || 0) + time;
+}
+
+// Translational plus rotational kinetic energy, in sim units (kg px^2/s^2); 0 for static and
+// kinematic bodies, which act as if their mass were infinite
+function getKineticEnergy(obj) {
+    if (!isDynamic(obj) || !Number.isFinite(obj.mass)) return 0;
+    return 0.5 * obj.mass * (obj.vx * obj.vx + obj.vy * obj.vy) + 0.5 * obj.inertia * obj.angularVelocity * obj.angularVelocity;
+}
+
+// Collision resolution: separate overlapping objects and exchange impulses.
+// Takes the manifold from collide(a, b) so nothing here depends on the collider types.
+// Returns the solved contact, or null if there was nothing to resolve.
+function resolveCollision(a, b, manifold = collide(a, b)) {
+    if (!manifold) return null;
+    const { invMassA, invMassB } = getPairInverseMasses(a, b);
+    return resolveContact(a, b, manifold, invMassA, invMassB);
+}
+
+// Owns the bodies and advances the simulation. Has no knowledge of the canvas,
+// so it can be driven by the browser renderer or stepped headless from Node.
+class World {
+    bodies = [];
+    gravity = { x: 0, y: GRAVITY }; // in pixels/s^2
+    bounds = { width: 800, height: 600 }; // bottom edge acts as the ground
+    walls = { floor: true, ceiling: false, left: false, right: false }; // edges of the bounds bodies can't pass
+    ground = { restitution: 0, staticFriction: 0.6, kineticFriction: 0.4 }; // surface of the floor and walls
+    time = 0; // simulated seconds
+    broadPhase = createBroadPhase('sap'); // picks candidate pairs for collide()
+    stats = { candidatePairs: 0, contacts: 0, collisionTime: 0 }; // last step, time in ms
+    ccdMotionThreshold = 0.5; // sweep any body moving more than this fraction of its smallest size per step
+    integrator = 'semi-implicit-euler'; // see Integrators.js
+    fixedTimestep = 1 / 60; // seconds per fixed step in advance()
+    substeps = 1; // world steps per fixed step
+    accumulator = 0; // real time not yet simulated by advance()
+    previousPoses = new Map(); // body -> pose before the last fixed step, for interpolation
+    forceGenerators = []; // lasting forces, see ForceGenerators.js
+    joints = []; // constraints between bodies, see Joints.js
+    solverIterations = 10; // velocity passes over all contacts and joints per step
+    penetrationSlop = PENETRATION_SLOP; // overlap in pixels left uncorrected so resting contacts persist
+    correctionPercent = CORRECTION_PERCENT; // fraction of the remaining overlap removed per step
+    allowSleep = true; // let bodies that stay still stop being simulated until disturbed
+    sleepLinearThreshold = 5; // pixels/s below which a body counts as still
+    sleepAngularThreshold = 0.05; // rad/s below which a body counts as still
+    timeToSleep = 0.5; // seconds a whole island must stay still before it sleeps
+    contactCache = new Map(); // body a -> body b -> last step's contact points, for warm starting
+    wallBodies = {}; // side -> the wall's stand-in body, see getWallBody()
+    energy = null; // energy and momentum after the last step, see measureEnergy()
+    collisionEvents = []; // impacts during the last step: { bodies, energyLost, time }, bodies may include wall bodies
+    collisionLog = []; // the most recent impacts over all steps, oldest first
+    contacts = []; // contacts solved in the last step, plus those still held by sleeping bodies
+    lastDeltaTime = 0; // length of the last step, to turn its impulses back into forces
+    stepDeltaTime = 0; // length of the step being taken (then of the last one), for forces that share out an impulse
+    appliedForces = new Map(); // body -> forces queued with applyForce() for the last step
+    touching = new Map(); // body -> other body -> contact event, for the pairs touching after the last step
+
+    constructor({
+        gravity, bounds, walls, ground, broadPhase, ccdMotionThreshold, integrator, fixedTimestep, substeps,
+        solverIterations, penetrationSlop, correctionPercent, allowSleep, sleepLinearThreshold,
+        sleepAngularThreshold, timeToSleep
+    } = {})
+    {
+        if (solverIterations) this.solverIterations = solverIterations;
+        if (penetrationSlop !== undefined) this.penetrationSlop = penetrationSlop;
+        if (correctionPercent !== undefined) this.correctionPercent = correctionPercent;
+        if (allowSleep !== undefined) this.allowSleep = allowSleep;
+        if (sleepLinearThreshold !== undefined) this.sleepLinearThreshold = sleepLinearThreshold;
+        if (sleepAngularThreshold !== undefined) this.sleepAngularThreshold = sleepAngularThreshold;
+        if (timeToSleep !== undefined) this.timeToSleep = timeToSleep;
+        if (integrator) this.integrator = integrator;
+        if (fixedTimestep) this.fixedTimestep = fixedTimestep;
+        if (substeps) this.substeps = substeps;
+        if (ccdMotionThreshold !== undefined) this.ccdMotionThreshold = ccdMotionThreshold;
+        if (gravity) this.gravity = { ...this.gravity, ...gravity };
+        if (bounds) this.bounds = { ...this.bounds, ...bounds };
+        if (walls) this.walls = { ...this.walls, ...walls };
+        if (ground) this.ground = { ...this.ground, ...ground };
+        if (broadPhase) this.broadPhase = typeof broadPhase === 'string' ? createBroadPhase(broadPhase) : broadPhase;
+    }
+
+    add(...bodies) {
+        this.bodies.push(...bodies);
+        return this;
+    }
+
+    remove(body) {
+        const index = this.bodies.indexOf(body);
+        if (index !== -1) this.bodies.splice(index, 1);
+        this.forceGenerators = this.forceGenerators.filter(generator => !generator.detach(body));
+        this.joints = this.joints.filter(joint => !joint.involves(body));
+    }
+
+    addJoint(joint) {
+        joint.bodies.forEach(obj => this.wake(obj));
+        this.joints.push(joint);
+        return joint;
+    }
+
+    removeJoint(joint) {
+        const index = this.joints.indexOf(joint);
+        if (index !== -1) this.joints.splice(index, 1);
+    }
+
+    // Bodies linked by a joint don't collide with each other unless the joint asks for it
+    areJointConnected(a, b) {
+        return this.joints.some(joint => !joint.collideConnected && joint.involves(a) && joint.involves(b));
+    }
+
+    // Register a lasting force; its duration (if any) counts from now
+    addForceGenerator(generator) {
+        generator.startTime = this.time;
+        this.bodies.forEach(obj => {
+            if (generator.involves(obj)) this.wake(obj);
+        });
+        this.forceGenerators.push(generator);
+        return generator;
+    }
+
+    removeForceGenerator(generator) {
+        const index = this.forceGenerators.indexOf(generator);
+        if (index !== -1) this.forceGenerators.splice(index, 1);
+    }
+
+    // A wall ('floor', 'ceiling', 'left' or 'right') as an immovable body along that edge of
+    // the bounds. It is kept between steps so its contacts can be warm started like any other.
+    getWallBody(side) {
+        if (!this.wallBodies[side]) this.wallBodies[side] = new GameObject(0, 0, 0, 0, Infinity);
+        const { width, height } = this.bounds;
+        const placement = {
+            floor: { x: 0, y: height, width, height: 0 },
+            ceiling: { x: 0, y: 0, width, height: 0 },
+            left: { x: 0, y: 0, width: 0, height },
+            right: { x: width, y: 0, width: 0, height }
+        }[side];
+        return Object.assign(this.wallBodies[side], this.ground, placement, { name: WALL_NAMES[side], bodyType: 'static' });
+    }
+
+    getGroundBody() {
+        return this.getWallBody('floor');
+    }
+
+    isWall(obj) {
+        return Object.values(this.wallBodies).includes(obj);
+    }
+
+    // How far a point lies past a wall, negative on the inside
+    getWallDistance(point, side) {
+        switch (side) {
+            case 'floor': return point.y - this.bounds.height;
+            case 'ceiling': return -point.y;
+            case 'left': return -point.x;
+            case 'right': return point.x - this.bounds.width;
+            default: throw new Error(`Unknown wall: ${side}`);
+        }
+    }
+
+    // Manifold between a wall and a body (normal pointing from the wall into the body), or
+    // null when the body is clear of it
+    getWallContact(obj, side) {
+        const normal = WALL_NORMALS[side];
+        let points;
+        if (!obj.collider) {
+            // Middle of the edge facing the wall
+            points = [{
+                x: obj.x + obj.width / 2 - normal.x * obj.width / 2,
+                y: obj.y + obj.height / 2 - normal.y * obj.height / 2
+            }];
+        } else if (obj.collider.type === 'circle') {
+            const center = obj.getCenter();
+            points = [{ x: center.x - normal.x * obj.collider.radius, y: center.y - normal.y * obj.collider.radius }];
+        } else {
+            points = obj.collider.getWorldVertices(obj);
+        }
+        const depth = Math.max(...points.map(p => this.getWallDistance(p, side)));
+        if (depth <= 0) return null;
+        // Corners within the contact margin of the wall count too, so a body settling
+        // onto a face rests on both corners instead of rocking from one to the other
+        points = points.filter(p => this.getWallDistance(p, side) >= -CONTACT_MARGIN);
+        return { normal, depth, points };
+    }
+
+    // Bullets always get continuous collision detection; anything else once its displacement
+    // this step is large enough to skip over something its own size
+    needsSweep(obj, displacement) {
+        if (!obj.collider || isSensor(obj) || !isDynamic(obj)) return false;
+        if (obj.bullet) return true;
+        const bounds = obj.collider.getBounds(obj);
+        const size = Math.min(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY);
+        return Math.hypot(displacement.x, displacement.y) > size * this.ccdMotionThreshold;
+    }
+
+    // Continuous collision detection: move obj along its path in small probes instead of
+    // one jump, and on the first overlap bisect back to the time of impact, stop there
+    // and resolve the contact so the body cannot tunnel through thin or small objects.
+    // The rest of the step after an impact is dropped. Returns the impact's contact, or null.
+    sweep(obj, displacement) {
+        const start = { x: obj.x, y: obj.y, rotation: obj.rotation };
+        const end = {
+            x: obj.x + displacement.x,
+            y: obj.y + displacement.y,
+            rotation: obj.rotation + displacement.rotation
+        };
+        const setPose = (t) => {
+            obj.x = start.x + (end.x - start.x) * t;
+            obj.y = start.y + (end.y - start.y) * t;
+            obj.rotation = start.rotation + (end.rotation - start.rotation) * t;
+        };
+
+        // Only bodies overlapping the swept area can be hit
+        const startBounds = obj.collider.getBounds(obj);
+        setPose(1);
+        const endBounds = obj.collider.getBounds(obj);
+        const swept = {
+            minX: Math.min(startBounds.minX, endBounds.minX),
+            minY: Math.min(startBounds.minY, endBounds.minY),
+            maxX: Math.max(startBounds.maxX, endBounds.maxX),
+            maxY: Math.max(startBounds.maxY, endBounds.maxY)
+        };
+        const candidates = this.bodies.filter(other => {
+            if (other === obj || !other.collider || isSensor(other) || !canCollide(obj, other) || this.areJointConnected(obj, other)) return false;
+            const b = other.collider.getBounds(other);
+            return b.minX <= swept.maxX && b.maxX >= swept.minX && b.minY <= swept.maxY && b.maxY >= swept.minY;
+        });
+        const firstHit = () => {
+            for (const other of candidates) {
+                if (collide(obj, other)) return other;
+            }
+            return null;
+        };
+        setPose(0);
+        // Already touching something at the start: the regular contact pass handles it
+        const startHit = firstHit();
+
+        const size = Math.min(startBounds.maxX - startBounds.minX, startBounds.maxY - startBounds.minY);
+        const distance = Math.hypot(end.x - start.x, end.y - start.y);
+        const probes = Math.min(MAX_SWEEP_PROBES, Math.max(1, Math.ceil(distance / (size * SWEEP_STEP_FRACTION))));
+        let previous = 0;
+        for (let i = 1; i <= probes; i++) {
+            const t = i / probes;
+            setPose(t);
+            const hit = firstHit();
+            if (!hit || hit === startHit) {
+                previous = t;
+                continue;
+            }
+            // Bisect between the last clear pose and the first overlapping one
+            let lo = previous;
+            let hi = t;
+            for (let k = 0; k < TOI_ITERATIONS; k++) {
+                const mid = (lo + hi) / 2;
+                setPose(mid);
+                if (collide(obj, hit)) hi = mid;
+                else lo = mid;
+            }
+            setPose(hi);
+            const before = getKineticEnergy(obj) + getKineticEnergy(hit);
+            const contact = resolveCollision(obj, hit, collide(obj, hit));
+            this.collisionEvents.push({ bodies: [hit, obj], energyLost: before - getKineticEnergy(obj) - getKineticEnergy(hit) });
+            return contact;
+        }
+        setPose(1);
+        return null;
+    }
+
+    // Axis-aligned bounds of a body, accounting for rotation
+    getExtent(obj) {
+        if (obj.collider) return obj.collider.getBounds(obj);
+        return { minX: obj.x, minY: obj.y, maxX: obj.x + obj.width, maxY: obj.y + obj.height };
+    }
+
+    // Every force acting on a body in its current state: gravity (scaled by the body's
+    // gravityScale), the one-step forces queued with applyForce() and those of the active
+    // force generators. Only dynamic bodies feel gravity.
+    getForces(obj) {
+        const forces = [];
+        if (isDynamic(obj) && obj.gravityScale !== 0) {
+            const weight = obj.mass * obj.gravityScale;
+            forces.push({ x: weight * this.gravity.x, y: weight * this.gravity.y, label: 'gravity' });
+        }
+        obj.forces.forEach(force => forces.push({ label: 'applied', ...force }));
+        this.forceGenerators.forEach(generator => {
+            if (generator.isActive(this.time)) forces.push(...generator.getForces(obj, this));
+        });
+        return forces;
+    }
+
+    // Every force on a body over the last step, for free-body diagrams: those of getForces()
+    // (with the applyForce() ones the step used up), the normal and friction forces of its
+    // contacts and the forces its joints exerted. Contact and joint forces are the solver's
+    // impulses divided by the step length; each contact's are summed into one normal and one
+    // friction force at the impulse-weighted point.
+    getForceBreakdown(obj) {
+        const forces = this.getForces(obj);
+        (this.appliedForces.get(obj) || []).forEach(force => forces.push({ label: 'applied', ...force }));
+        if (this.lastDeltaTime === 0) return forces;
+        this.contacts.forEach(contact => {
+            if (contact.a !== obj && contact.b !== obj) return;
+            // The solver pushes b along the normal and a the other way
+            const sign = contact.b === obj ? 1 : -1;
+            let normal = 0;
+            let tangent = 0;
+            let px = 0;
+            let py = 0;
+            contact.points.forEach(point => {
+                normal += point.normalImpulse;
+                tangent += point.tangentImpulse;
+                px += point.x * point.normalImpulse;
+                py += point.y * point.normalImpulse;
+            });
+            if (normal <= 0) return;
+            const point = { x: px / normal, y: py / normal };
+            const scale = sign / this.lastDeltaTime;
+            forces.push({ x: normal * contact.nx * scale, y: normal * contact.ny * scale, point, label: 'normal' });
+            if (tangent !== 0) {
+                forces.push({ x: tangent * contact.tx * scale, y: tangent * contact.ty * scale, point, label: 'friction' });
+            }
+        });
+        this.joints.forEach(joint => forces.push(...joint.getForces(obj)));
+        return forces;
+    }
+
+    // Acceleration of a body from the net force of getForceBreakdown(), contacts and joints
+    // included, so a body resting on the floor reads 0 (obj.ax and obj.ay only have the free
+    // forces the integrator used). Bodies that don't move have none.
+    getAcceleration(obj) {
+        if (obj.sleeping || !isDynamic(obj)) return { x: 0, y: 0 };
+        const net = this.getForceBreakdown(obj).reduce((sum, force) => ({ x: sum.x + force.x, y: sum.y + force.y }), { x: 0, y: 0 });
+        return { x: net.x / obj.mass, y: net.y / obj.mass };
+    }
+
+    // Net force and torque on a body in its current state
+    computeForces(obj) {
+        const center = obj.getCenter();
+        let fx = 0;
+        let fy = 0;
+        let torque = 0;
+        for (const force of this.getForces(obj)) {
+            fx += force.x;
+            fy += force.y;
+            // Forces applied away from the center of mass also produce a torque
+            if (force.point) {
+                torque += (force.point.x - center.x) * force.y - (force.point.y - center.y) * force.x;
+            }
+            if (force.torque) torque += force.torque;
+        }
+        return { fx, fy, torque };
+    }
+
+    // Accelerations a body would have in the given state; integrators probe intermediate states with it
+    accelerationAt(obj, state) {
+        const saved = {
+            x: obj.x, y: obj.y, rotation: obj.rotation,
+            vx: obj.vx, vy: obj.vy, angularVelocity: obj.angularVelocity
+        };
+        Object.assign(obj, state);
+        const { fx, fy, torque } = this.computeForces(obj);
+        Object.assign(obj, saved);
+        const inertia = obj.inertia;
+        return { ax: fx / obj.mass, ay: fy / obj.mass, alpha: inertia > 0 ? torque / inertia : 0 };
+    }
+
+    // Advance by elapsed real seconds in fixed steps of fixedTimestep (each split into
+    // substeps), carrying leftover time to the next call so simulated time tracks wall time
+    // on any display rate. Returns how far (0..1) the leftover reaches into the next step,
+    // for interpolated rendering with getInterpolatedPose(). onTick, if given, is called with
+    // the world after every fixed step.
+    advance(elapsed, onTick = null) {
+        this.accumulator += Math.min(elapsed, MAX_FRAME_TIME);
+        while (this.accumulator >= this.fixedTimestep) {
+            this.tick();
+            this.accumulator -= this.fixedTimestep;
+            if (onTick) onTick(this);
+        }
+        return this.accumulator / this.fixedTimestep;
+    }
+
+    // One fixed step of fixedTimestep (split into substeps), remembering the poses before it
+    // for interpolation
+    tick() {
+        this.previousPoses = new Map(this.bodies.map(obj => [obj, { x: obj.x, y: obj.y, rotation: obj.rotation }]));
+        for (let i = 0; i < this.substeps; i++) {
+            this.step(this.fixedTimestep / this.substeps);
+        }
+    }
+
+    // Everything stepping changes, to return to later with restoreState(). Bodies, forces and
+    // joints are kept by reference, so a state only fits the world that saved it.
+    saveState() {
+        return {
+            time: this.time,
+            accumulator: this.accumulator,
+            bodies: this.bodies.map(obj => {
+                const state = { obj };
+                BODY_STATE_KEYS.forEach(key => { state[key] = obj[key]; });
+                return state;
+            }),
+            forceGenerators: this.forceGenerators.slice(),
+            joints: this.joints.slice(),
+            contactCache: this.contactCache,
+            contacts: this.contacts,
+            touching: this.touching,
+            previousPoses: this.previousPoses
+        };
+    }
+
+    restoreState(state) {
+        this.time = state.time;
+        this.accumulator = state.accumulator;
+        this.bodies = state.bodies.map(({ obj, ...fields }) => {
+            Object.assign(obj, fields);
+            obj.forces = [];
+            return obj;
+        });
+        this.forceGenerators = state.forceGenerators.slice();
+        this.joints = state.joints.slice();
+        this.contactCache = state.contactCache;
+        this.contacts = state.contacts;
+        this.touching = state.touching;
+        this.previousPoses = state.previousPoses;
+        this.appliedForces = new Map();
+        // Diagnostics follow the restored state; impacts after it haven't happened yet
+        this.energy = this.measureEnergy();
+        this.collisionEvents = [];
+        this.collisionLog = this.collisionLog.filter(event => event.time <= this.time);
+    }
+
+    // Pose between the last two fixed steps; alpha = 0 is the previous step, 1 the current one
+    getInterpolatedPose(obj, alpha) {
+        const previous = this.previousPoses.get(obj);
+        if (!previous) return { x: obj.x, y: obj.y, rotation: obj.rotation };
+        return {
+            x: previous.x + (obj.x - previous.x) * alpha,
+            y: previous.y + (obj.y - previous.y) * alpha,
+            rotation: previous.rotation + (obj.rotation - previous.rotation) * alpha
+        };
+    }
+
+    wake(obj) {
+        obj.sleeping = false;
+        obj.sleepTime = 0;
+    }
+
+    sleep(obj) {
+        obj.sleeping = true;
+        obj.vx = obj.vy = obj.angularVelocity = 0;
+    }
+
+    // Bodies sleep in islands: groups linked by contacts or joints go to sleep together once
+    // every one of them has stayed nearly still for timeToSleep, and a sleeping island wakes
+    // as soon as one of its bodies starts moving again. links are [a, b] pairs of bodies.
+    updateSleep(deltaTime, links) {
+        if (!this.allowSleep) return;
+        // Only dynamic bodies sleep: a slow kinematic body would stop for good
+        const bodies = this.bodies.filter(isDynamic);
+        bodies.forEach(obj => {
+            const still = Math.hypot(obj.vx, obj.vy) < this.sleepLinearThreshold &&
+                Math.abs(obj.angularVelocity) < this.sleepAngularThreshold;
+            // A sleeping body the solver set moving was struck by an awake one, which may have
+            // stopped dead in the same step: it wakes, and wakes its island
+            if (obj.sleeping && !still) this.wake(obj);
+            if (obj.sleeping) return;
+            obj.sleepTime = still ? obj.sleepTime + deltaTime : 0;
+        });
+
+        // Union-find over the links
+        const parent = new Map(bodies.map(obj => [obj, obj]));
+        const find = (obj) => {
+            while (parent.get(obj) !== obj) {
+                parent.set(obj, parent.get(parent.get(obj)));
+                obj = parent.get(obj);
+            }
+            return obj;
+        };
+        links.forEach(([a, b]) => {
+            if (parent.has(a) && parent.has(b)) parent.set(find(a), find(b));
+        });
+        const islands = new Map();
+        bodies.forEach(obj => {
+            const root = find(obj);
+            if (!islands.has(root)) islands.set(root, []);
+            islands.get(root).push(obj);
+        });
+
+        islands.forEach(members => {
+            if (members.every(obj => obj.sleeping || obj.sleepTime >= this.timeToSleep)) {
+                members.forEach(obj => this.sleep(obj));
+            } else if (members.some(obj => !obj.sleeping && obj.sleepTime === 0)) {
+                members.forEach(obj => {
+                    if (obj.sleeping) this.wake(obj);
+                });
+            }
+        });
+    }
+
+    step(deltaTime) {
+        const integrate = getIntegrator(this.integrator);
+        this.stepDeltaTime = deltaTime;
+
+        // Integrate free motion. Velocities take their end-of-step values; the displacement
+        // the integrator produced is kept as an average velocity and applied after contacts.
+        const motions = new Map();
+        this.bodies.forEach(obj => {
+            // Static bodies stay put; kinematic ones keep their velocity (aimed along their path
+            // if they have one) whatever acts on them
+            if (!isDynamic(obj)) {
+                if (obj.bodyType === 'static') obj.vx = obj.vy = obj.angularVelocity = 0;
+                else if (obj.path) {
+                    const target = getPathPoint(obj.path, getPathTime(obj.path, this.time + deltaTime));
+                    const center = obj.getCenter();
+                    obj.vx = (target.x - center.x) / deltaTime;
+                    obj.vy = (target.y - center.y) / deltaTime;
+                }
+                obj.ax = obj.ay = obj.angularAcceleration = 0;
+                const velocity = { vx: obj.vx, vy: obj.vy, angularVelocity: obj.angularVelocity };
+                motions.set(obj, { ...velocity, end: velocity });
+                return;
+            }
+            // Pushing on a sleeping body wakes it
+            if (obj.sleeping && obj.forces.length > 0) this.wake(obj);
+            if (obj.sleeping) {
+                obj.ax = obj.ay = obj.angularAcceleration = 0;
+                motions.set(obj, { vx: 0, vy: 0, angularVelocity: 0, end: { vx: 0, vy: 0, angularVelocity: 0 } });
+                return;
+            }
+            const state = {
+                x: obj.x, y: obj.y, rotation: obj.rotation,
+                vx: obj.vx, vy: obj.vy, angularVelocity: obj.angularVelocity
+            };
+            const acceleration = this.accelerationAt(obj, state);
+            obj.ax = acceleration.ax;
+            obj.ay = acceleration.ay;
+            obj.angularAcceleration = acceleration.alpha;
+
+            const next = integrate(state, s => this.accelerationAt(obj, s), deltaTime);
+            obj.vx = next.vx;
+            obj.vy = next.vy;
+            obj.angularVelocity = next.angularVelocity;
+            motions.set(obj, {
+                vx: (next.x - state.x) / deltaTime,
+                vy: (next.y - state.y) / deltaTime,
+                angularVelocity: (next.rotation - state.rotation) / deltaTime,
+                end: next
+            });
+        });
+
+        // Resolve contacts before moving so resting bodies stay put. Every contact is set up
+        // first, then the solver sweeps over all of them and the joints together, so impulses
+        // travel through a whole stack instead of settling one pair at a time.
+        const contactOptions = { slop: this.penetrationSlop, correctionPercent: this.correctionPercent };
+        const contacts = [];
+        const sides = Object.keys(WALL_NORMALS).filter(side => this.walls[side]);
+        this.bodies.forEach(obj => {
+            if (obj.sleeping || isSensor(obj) || !isDynamic(obj)) return;
+            sides.forEach(side => {
+                const manifold = this.getWallContact(obj, side);
+                if (manifold) contacts.push(createContact(this.getWallBody(side), obj, manifold, 0, 1 / obj.mass, contactOptions));
+            });
+        });
+        const collisionStart = performance.now();
+        const pairs = this.broadPhase.getPairs(this.bodies);
+        const overlaps = []; // pairs with a sensor, which only report that they overlap
+        for (const [a, b] of pairs) {
+            if (this.areJointConnected(a, b) || !canCollide(a, b)) continue;
+            // Sensors are checked even when asleep, so a body resting in one stays inside it
+            if (isSensor(a) || isSensor(b)) {
+                const manifold = collide(a, b);
+                if (manifold) overlaps.push({ a, b, nx: manifold.normal.x, ny: manifold.normal.y, points: manifold.points });
+                continue;
+            }
+            const { invMassA, invMassB } = getPairInverseMasses(a, b);
+            // Nothing to do unless one side is awake and free to move, or a kinematic body is
+            // pushing into the other
+            const pushing = isPushing(a) || isPushing(b);
+            if ((a.sleeping || invMassA === 0) && (b.sleeping || invMassB === 0) && !pushing) continue;
+            const manifold = collide(a, b);
+            if (!manifold) continue;
+            if (isPushing(a)) this.wake(b);
+            if (isPushing(b)) this.wake(a);
+            contacts.push(createContact(a, b, manifold, invMassA, invMassB, contactOptions));
+        }
+        const activeContacts = contacts.filter(contact => contact !== null);
+        this.stats = {
+            candidatePairs: pairs.length,
+            contacts: activeContacts.length - activeContacts.filter(contact => this.isWall(contact.a)).length,
+            collisionTime: performance.now() - collisionStart
+        };
+
+        // Impacts are contacts that weren't there last step. Impacts sharing a body (other than
+        // a wall) make one event, since the solver can't tell their losses apart; an event
+        // costs its bodies' kinetic energy before the solver minus what is left after it.
+        let impacts = [];
+        activeContacts.filter(contact => !this.contactCache.get(contact.a)?.has(contact.b)).forEach(contact => {
+            const shared = [contact.a, contact.b].filter(obj => !this.isWall(obj));
+            const touching = impacts.filter(impact => shared.some(obj => impact.includes(obj)));
+            impacts = impacts.filter(impact => !touching.includes(impact));
+            impacts.push([...new Set([contact.a, contact.b, ...touching.flat()])]);
+        });
+        const kineticEnergyOf = (bodies) => bodies.reduce((sum, obj) => sum + getKineticEnergy(obj), 0);
+        const energyBefore = impacts.map(kineticEnergyOf);
+
+        activeContacts.forEach(contact => warmStart(contact, this.contactCache.get(contact.a)?.get(contact.b)));
+        this.contactCache = new Map();
+        activeContacts.forEach(contact => {
+            if (!this.contactCache.has(contact.a)) this.contactCache.set(contact.a, new Map());
+            this.contactCache.get(contact.a).set(contact.b, contact.points);
+        });
+
+        this.joints.forEach(joint => joint.prepare(deltaTime));
+        for (let i = 0; i < this.solverIterations; i++) {
+            this.joints.forEach(joint => joint.solveVelocity());
+            activeContacts.forEach(solveContact);
+        }
+        this.collisionEvents = impacts.map((bodies, i) => ({ bodies, energyLost: energyBefore[i] - kineticEnergyOf(bodies) }));
+
+        // Integrate positions: the free-motion displacement plus whatever velocity change
+        // the contacts made. Fast movers are swept afterwards against where everything else ended up.
+        const displacements = new Map();
+        this.bodies.forEach(obj => {
+            const motion = motions.get(obj);
+            displacements.set(obj, {
+                x: (motion.vx + obj.vx - motion.end.vx) * deltaTime,
+                y: (motion.vy + obj.vy - motion.end.vy) * deltaTime,
+                // Note: rotation increases clockwise in canvas context
+                rotation: (motion.angularVelocity + obj.angularVelocity - motion.end.angularVelocity) * deltaTime
+            });
+        });
+        const swept = this.bodies.filter(obj => this.needsSweep(obj, displacements.get(obj)));
+        this.bodies.forEach(obj => {
+            if (!swept.includes(obj)) {
+                const displacement = displacements.get(obj);
+                obj.x += displacement.x;
+                obj.y += displacement.y;
+                obj.rotation += displacement.rotation;
+            }
+        });
+        const sweptContacts = swept.map(obj => this.sweep(obj, displacements.get(obj))).filter(Boolean);
+
+        // Integration leaves joints slightly apart; pull them back together
+        for (let i = 0; i < JOINT_POSITION_ITERATIONS; i++) {
+            this.joints.forEach(joint => joint.solvePosition());
+        }
+
+        this.bodies.forEach(obj => {
+            // Keep bodies from sinking through the walls (within the slop resting contacts keep)
+            if (isSensor(obj) || !isDynamic(obj)) return;
+            const extent = this.getExtent(obj);
+            const corner = {
+                floor: { x: 0, y: extent.maxY },
+                ceiling: { x: 0, y: extent.minY },
+                left: { x: extent.minX, y: 0 },
+                right: { x: extent.maxX, y: 0 }
+            };
+            sides.forEach(side => {
+                const sink = this.getWallDistance(corner[side], side) - this.penetrationSlop;
+                if (sink > 0) {
+                    obj.x += WALL_NORMALS[side].x * sink;
+                    obj.y += WALL_NORMALS[side].y * sink;
+                }
+            });
+        });
+
+        // Contacts between two movable bodies and joints tie bodies into sleep islands
+        const links = activeContacts
+            .filter(contact => contact.invMassA > 0 && contact.invMassB > 0)
+            .map(contact => [contact.a, contact.b]);
+        this.joints.forEach(joint => {
+            if (joint.bodies.length === 2) links.push(joint.bodies);
+        });
+        this.updateSleep(deltaTime, links);
+
+        // Sleeping bodies skip their contacts, but still rest on them
+        const resting = (obj, invMass) => obj.sleeping || invMass === 0;
+        const held = this.contacts.filter(contact =>
+            resting(contact.a, contact.invMassA) && resting(contact.b, contact.invMassB) &&
+            (this.isWall(contact.a) || this.bodies.includes(contact.a)) && this.bodies.includes(contact.b) &&
+            !activeContacts.some(active => active.a === contact.a && active.b === contact.b));
+        this.contacts = activeContacts.concat(held);
+        this.lastDeltaTime = deltaTime;
+
+        // Forces queued with applyForce() last one step; expired generators are dropped
+        this.appliedForces = new Map();
+        this.bodies.forEach(obj => {
+            if (obj.forces.length > 0) this.appliedForces.set(obj, obj.forces);
+            obj.forces = [];
+        });
+        this.time += deltaTime;
+        this.forceGenerators = this.forceGenerators.filter(generator => generator.isActive(this.time));
+        this.energy = this.measureEnergy();
+        this.collisionEvents.forEach(event => { event.time = this.time; });
+        this.collisionLog = this.collisionLog.concat(this.collisionEvents).slice(-COLLISION_LOG_LENGTH);
+        this.dispatchCollisionEvents(this.contacts.concat(sweptContacts), overlaps);
+    }
+
+    // Work out which pairs touch after a step and call the bodies' callbacks: onCollisionEnter
+    // for pairs that weren't touching before, onCollisionStay for those that still are and
+    // onCollisionExit (with the last event) for those that no longer do. Each body gets an
+    // event of its own: { other, normal, points, normalImpulse, impulse, sensor }, where normal
+    // points from the other body into this one, normalImpulse is the total push along it and
+    // impulse the whole impulse on this body, friction included (sim units: kg px/s). Sensor
+    // overlaps carry no impulse. Walls take part as their stand-in bodies (see getWallBody()).
+    dispatchCollisionEvents(contacts, overlaps) {
+        const touching = new Map();
+        const touch = (obj, other, event) => {
+            if (!touching.has(obj)) touching.set(obj, new Map());
+            touching.get(obj).set(other, event);
+        };
+        // The event for b; a gets the same one with the directions reversed
+        const addPair = (a, b, event) => {
+            touch(b, a, { other: a, ...event });
+            touch(a, b, {
+                other: b,
+                ...event,
+                normal: { x: -event.normal.x, y: -event.normal.y },
+                impulse: { x: -event.impulse.x, y: -event.impulse.y }
+            });
+        };
+        contacts.forEach(contact => {
+            let normalImpulse = 0;
+            let tangentImpulse = 0;
+            contact.points.forEach(point => {
+                normalImpulse += point.normalImpulse;
+                tangentImpulse += point.tangentImpulse;
+            });
+            addPair(contact.a, contact.b, {
+                normal: { x: contact.nx, y: contact.ny },
+                points: contact.points.map(point => ({ x: point.x, y: point.y })),
+                normalImpulse,
+                impulse: {
+                    x: normalImpulse * contact.nx + tangentImpulse * contact.tx,
+                    y: normalImpulse * contact.ny + tangentImpulse * contact.ty
+                },
+                sensor: false
+            });
+        });
+        overlaps.forEach(overlap => addPair(overlap.a, overlap.b, {
+            normal: { x: overlap.nx, y: overlap.ny },
+            points: overlap.points.map(point => ({ x: point.x, y: point.y })),
+            normalImpulse: 0,
+            impulse: { x: 0, y: 0 },
+            sensor: true
+        }));
+
+        // The new pairs are in place before any callback runs, so callbacks see a settled world
+        const previous = this.touching;
+        this.touching = touching;
+        const call = (obj, callback, event) => {
+            if (typeof obj[callback] === 'function') obj[callback](event);
+        };
+        this.bodies.slice().forEach(obj => {
+            const now = touching.get(obj) || new Map();
+            const before = previous.get(obj) || new Map();
+            now.forEach((event, other) => call(obj, before.has(other) ? 'onCollisionStay' : 'onCollisionEnter', event));
+            before.forEach((event, other) => {
+                if (!now.has(other)) call(obj, 'onCollisionExit', event);
+            });
+        });
+    }
+
+    // Energy and momentum of the whole world in sim units (kg, px, s): kinetic energy split
+    // into translational and rotational, gravitational potential energy relative to the
+    // ground, energy stored in springs, their total and the linear momentum { x, y }
+    measureEnergy() {
+        let translational = 0;
+        let rotational = 0;
+        let potential = 0;
+        const momentum = { x: 0, y: 0 };
+        this.bodies.forEach(obj => {
+            if (!isDynamic(obj) || !Number.isFinite(obj.mass)) return;
+            translational += 0.5 * obj.mass * (obj.vx * obj.vx + obj.vy * obj.vy);
+            rotational += 0.5 * obj.inertia * obj.angularVelocity * obj.angularVelocity;
+            momentum.x += obj.mass * obj.vx;
+            momentum.y += obj.mass * obj.vy;
+            if (obj.gravityScale !== 0) {
+                // Work gravity would do taking the center of mass down to the ground
+                const center = obj.getCenter();
+                potential -= obj.mass * obj.gravityScale * (this.gravity.x * center.x + this.gravity.y * (center.y - this.bounds.height));
+            }
+        });
+        const elastic = this.forceGenerators.reduce((sum, generator) => sum + generator.getEnergy(), 0);
+        const kinetic = translational + rotational;
+        return { translational, rotational, kinetic, potential, elastic, total: kinetic + potential + elastic, momentum };
+    }
+}
+
+export { PPM, GRAVITY, isDynamic, getPathPoint, getPathTime, getKineticEnergy, resolveCollision };
+export default World;
@@ -1,21 +1,79 @@
 import GameObject from './components/GameObject.js';
 import { BoxCollider, CircleCollider, TriangleCollider } from './components/Collider.js';
+import World, { PPM, GRAVITY, isDynamic } from './components/World.js';
+import { SpringForce, GrabForce } from './components/ForceGenerators.js';
+import { loadScene, exportScene, sceneToMeters } from './components/Scene.js';
+import { Editor } from './components/Editor.js';
+import { Playback } from './components/Playback.js';
+import { Graphs } from './components/Graphs.js';
+import { quantities } from './components/Quantities.js';
+import { Overlays } from './components/Overlays.js';
+import { Recorder } from './components/Recorder.js';
+import { Camera } from './components/Camera.js';
+import { Experiment, presets } from './components/Experiments.js';
+import { materials, applyMaterial } from './components/Materials.js';
+import { getIntegrator } from './components/Integrators.js';
 
-const canvas = document.querySelector('canvas');
+const canvas = document.querySelector('#c');
 const ctx = canvas.getContext('2d');
 let width = canvas.width = window.innerWidth;
 let height = canvas.height = window.innerHeight;
 const backgroundColor = getComputedStyle(document.documentElement).getPropertyValue('--background-color').trim();
-const tickrate = 60; // Frames per second
-const tickInterval = 1000 / tickrate; // Interval in milliseconds
-let lastTime = 0;
+const tickrate = 60; // Physics steps per second, independent of the display refresh rate
+let lastTime = null;
 
-const gameObjects = [];
+// ?integrator=rk4&substeps=4 picks the integration method and substeps per tick,
+// ?scene=incline.json loads a scene from scenes/ (or any URL) instead of the built-in demo,
+// ?experiment=pendulum one of the experiments of components/Experiments.js
+const params = new URLSearchParams(window.location.search);
+const urlSettings = {};
+const urlProblems = []; // settings left out for being invalid, shown once the page is up
+if (params.get('integrator')) {
+    try {
+        getIntegrator(params.get('integrator'));
+        urlSettings.integrator = params.get('integrator');
+    } catch (error) {
+        urlProblems.push(error.message);
+    }
+}
+if (params.get('substeps')) {
+    const substeps = Number(params.get('substeps'));
+    if (Number.isInteger(substeps) && substeps >= 1) urlSettings.substeps = substeps;
+    else urlProblems.push(`substeps must be a whole number of at least 1, got ${params.get('substeps')}`);
+}
+// The world keeps its size whatever the window does; the camera decides what is on screen
+const DEFAULT_BOUNDS = { width: 12 * PPM, height: 8 * PPM };
+let world = new World({ bounds: DEFAULT_BOUNDS, fixedTimestep: 1 / tickrate, ...urlSettings });
+const camera = new Camera();
+let panning = null; // { pointerId, last } while the view is dragged
+let showGrid = true; // metric grid and rulers, toggled from the toolbar
+const ZOOM_SPEED = 0.001; // zoom factor e^(speed * wheel delta)
+const errorPanel = document.querySelector('#errors');
+const propertyPanel = document.querySelector('#properties');
+// Edit mode shows the scene being built without simulating it; run mode simulates a world
+// built from that same scene
+const editor = new Editor();
+let mode = 'run';
+const grabs = new Map(); // pointer id -> { force, samples } for bodies held while running
+const THROW_SAMPLE_TIME = 0.1; // seconds of pointer movement averaged into the throw velocity
+const playback = new Playback(world);
+const graphs = new Graphs();
+let showEnergy = false; // energy and momentum readout, toggled from the toolbar
+const overlays = new Overlays();
+const overlayPanel = document.querySelector('#overlays');
+const recorder = new Recorder();
+const recorderPanel = document.querySelector('#recorder');
+let experiment = null; // experiment whose scene is loaded, or null
+const experimentPanel = document.querySelector('#experiments');
+playback.onTick = (stepped) => {
+    recorder.sample(stepped);
+    if (experiment) experiment.observe(stepped);
+};
+const graphPanel = document.querySelector('#graphs');
+const graphCanvas = document.querySelector('#graph-canvas');
+const graphCtx = graphCanvas.getContext('2d');
 const loadedImages = new Map(); // Store pre-loaded images
 
-const PPM = 100; // Pixels per meter
-const GRAVITY = 9.8 * PPM; // 9.8 m/s^2 in pixels
-
 const preloadImage = (src) => {
     return new Promise((resolve, reject) => {
         if (loadedImages.has(src)) {
@@ -37,7 +95,7 @@ const preloadImage = (src) => {
 };
 
 const preloadGameObjectImages = async () => {
-    const imagePromises = gameObjects
+    const imagePromises = world.bodies
         .filter(obj => obj.spriteSrc)
         .map(obj => preloadImage(obj.spriteSrc));
 
@@ -49,12 +107,106 @@ const preloadGameObjectImages = async () => {
     }
 };
 
-const init = async () => {
-    console.log('Initiating simulation...');
+// World for a scene description, DEFAULT_BOUNDS in size unless the scene sets its bounds
+const buildWorld = (scene) => loadScene(scene, {
+    defaults: { bounds: DEFAULT_BOUNDS, fixedTimestep: 1 / tickrate },
+    overrides: urlSettings
+});
+
+// Replace the world with a fresh one built from the editor's scene
+const rebuildWorld = () => {
+    grabs.clear();
+    world = buildWorld(editor.scene);
+    playback.setWorld(world);
+    graphs.rebind(world);
+    updateGraphControls();
+    overlays.rebind(world);
+    updateOverlayControls();
+    recorder.rebind(world);
+    updateRecorderControls();
+    camera.rebind(world);
+    updateCameraControls();
+    if (experiment) experiment.reset();
+    lastTime = null;
+    preloadGameObjectImages();
+};
+
+// Start editing and running a scene description, the scene of newExperiment if given. Invalid
+// scenes are reported in the error panel and leave the current scene in place.
+const useScene = async (scene, source, newExperiment = null) => {
+    try {
+        buildWorld(scene);
+    } catch (error) {
+        showErrors(error.problems || [error.message], `Could not load ${source}`);
+        return;
+    }
+    experiment = newExperiment;
+    editor.load(scene);
+    rebuildWorld();
+    camera.fit(world.bounds);
+    showErrors([]);
+    updatePropertyPanel();
+    await preloadGameObjectImages();
+};
+
+const showErrors = (problems, heading) => {
+    errorPanel.hidden = problems.length === 0;
+    errorPanel.textContent = problems.length ? `${heading}:\n${problems.join('\n')}` : '';
+};
+
+const fetchScene = async (name) => {
+    // Bare file names refer to the bundled scenes
+    const url = name.includes('/') ? name : `scenes/${name}`;
+    try {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+        await useScene(await response.json(), name);
+    } catch (error) {
+        showErrors([error.message], `Could not load ${name}`);
+    }
+};
+
+const loadExperiment = async (name) => {
+    let created;
+    try {
+        created = new Experiment(name);
+    } catch (error) {
+        showErrors([error.message], `Could not load experiment ${name}`);
+        return;
+    }
+    await useScene(created.scene, created.title, created);
+};
+
+const readSceneFile = async (file) => {
+    try {
+        await useScene(JSON.parse(await file.text()), file.name);
+    } catch (error) {
+        showErrors([error.message], `Could not load ${file.name}`);
+    }
+};
 
-    const heavy = new GameObject(650, 100, 30, 30, 7, new BoxCollider(0, 0, 30, 30)); // mass = 10
-    const light = new GameObject(700, 350, 30, 30, 3, new BoxCollider(0, 0, 30, 30));  // mass = 1
-    const ball = new GameObject(510, 20, 60, 60, 5, new CircleCollider(0, 0, 30)); // mass = 2, radius = 15
+const downloadFile = (text, name, type) => {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([text], { type }));
+    link.download = name;
+    link.click();
+    URL.revokeObjectURL(link.href);
+};
+
+// Download the current state of the world as a scene file, in meters
+const downloadScene = () => {
+    downloadFile(JSON.stringify(sceneToMeters(exportScene(world)), null, 4), 'scene.json', 'application/json');
+};
+
+const createDemo = () => {
+    // Masses follow from the materials: a 0.3 m steel block is 70.65 kg, a wooden one 5.4 kg
+    // and the basketball, at its real radius of 0.12 m, 0.62 kg
+    const heavy = new GameObject(650, 100, 30, 30, 1, new BoxCollider(0, 0, 30, 30));
+    const light = new GameObject(700, 350, 30, 30, 1, new BoxCollider(0, 0, 30, 30));
+    const ball = new GameObject(510, 20, 24, 24, 1, new CircleCollider(0, 0, 12));
+    applyMaterial(heavy, 'steel');
+    applyMaterial(light, 'wood');
+    applyMaterial(ball, 'basketball');
     ball.spriteSrc = 'public/res/basketball.png';
     // Triangle vertices: top, bottom-left, bottom-right
     const triangleVerts = [
@@ -62,281 +214,556 @@ const init = async () => {
         { x: 0, y: 0 },      // top-left
         { x: 600, y: 300 }   // bottom-right
     ];
-    const triangle = new GameObject(450, height - 300, 600, 300, 100, new TriangleCollider(triangleVerts, 0, 0));
-    triangle.hasGravity = false;
+    const triangle = new GameObject(450, world.bounds.height - 300, 600, 300, 1, new TriangleCollider(triangleVerts, 0, 0));
+    applyMaterial(triangle, 'wood');
+    triangle.bodyType = 'static';
     triangle.color = '#ff0000'; // red fill
     heavy.color = '#00ff00';
     light.color = '#0000ff';
     ball.color = '#ffff00'; // yellow ball
-    gameObjects.push(heavy, light, ball, triangle);
+    world.add(heavy, light, ball, triangle);
 
-    // Pre-load all images before starting the game loop
-    await preloadGameObjectImages();
+    editor.load(exportScene(world));
+    rebuildWorld();
+    camera.fit(world.bounds);
+};
 
-    runUpdateLoop();
-}
+// Switching modes rebuilds the world from the edited scene, so every run starts from
+// exactly what was built and returning to edit mode discards what the run changed
+const setMode = (newMode) => {
+    mode = newMode;
+    editor.endDrag();
+    rebuildWorld();
+    document.querySelector('#mode').textContent = mode === 'edit' ? 'Run' : 'Edit';
+    document.querySelector('#edit-tools').hidden = mode !== 'edit';
+    document.querySelector('#playback').hidden = mode !== 'run';
+    if (mode === 'edit') graphPanel.hidden = true;
+    updatePropertyPanel();
+};
 
-const runUpdateLoop = (timestamp) => {
-    if (timestamp - lastTime >= tickInterval) {
-        lastTime = timestamp;
-        update();
+// Show the selected body's properties in the panel (edit mode only)
+const updatePropertyPanel = () => {
+    const data = mode === 'edit' ? editor.getSelected() : null;
+    propertyPanel.hidden = !data;
+    if (!data) return;
+    // A mass derived from the density shows as a hint, so typing one in overrides it
+    const body = world.bodies[editor.selected];
+    const derived = body && body.density !== null;
+    const defaults = {
+        material: '', density: '', mass: derived ? '' : 1, color: '#ffffff', spriteSrc: '',
+        vx: 0, vy: 0, bodyType: 'dynamic', gravityScale: 1
+    };
+    for (const [key, fallback] of Object.entries(defaults)) {
+        const input = propertyPanel.elements[key];
+        const value = data[key] !== undefined ? data[key] : fallback;
+        if (input.type === 'checkbox') input.checked = value;
+        else input.value = value;
     }
+    propertyPanel.elements.mass.placeholder = derived ? body.mass.toFixed(3) : '';
+    propertyPanel.elements.density.placeholder = data.material ? materials[data.material].density : '';
+    propertyPanel.querySelector('legend').textContent = data.name || 'Body';
+};
 
-    requestAnimationFrame(runUpdateLoop);
-}
+// Apply an edited field of the property panel to the selected body
+const applyProperty = (input) => {
+    let value;
+    if (input.type === 'checkbox') value = input.checked;
+    else if (input.type === 'number') value = input.value === '' ? undefined : parseFloat(input.value);
+    else value = input.value === '' ? undefined : input.value;
+    const problems = editor.setProperty(input.name, value);
+    showErrors(problems, 'Not applied');
+    afterEdit();
+};
+
+// Keep the world and the panel in step with the edited scene
+const afterEdit = () => {
+    rebuildWorld();
+    updatePropertyPanel();
+};
+
+// Pointer position on the canvas, in screen pixels
+const getScreenPointer = (event) => {
+    const rect = canvas.getBoundingClientRect();
+    return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+};
+
+// Pointer position in the world
+const getPointer = (event) => camera.toWorld(getScreenPointer(event));
+
+// Bodies the pointer can pick up while running: anything free to move
+const isGrabbable = isDynamic;
 
-// Collider-based collision detection
-function isColliding(a, b) {
-    if (a.collider && b.collider) {
-        return a.collider.isCollidingWith(b.collider, a, b);
+// Topmost grabbable body under the point
+const bodyAt = (point) => {
+    for (let i = world.bodies.length - 1; i >= 0; i--) {
+        const obj = world.bodies[i];
+        if (!isGrabbable(obj)) continue;
+        const inside = obj.collider
+            ? obj.collider.containsPoint(obj, point)
+            : point.x >= obj.x && point.y >= obj.y && point.x <= obj.x + obj.width && point.y <= obj.y + obj.height;
+        if (inside) return obj;
     }
-    return false;
-}
+    return null;
+};
 
-// Helper: Closest point on segment and triangle
-function closestPointOnSegment(px, py, ax, ay, bx, by) {
-    const abx = bx - ax;
-    const aby = by - ay;
-    const apx = px - ax;
-    const apy = py - ay;
-    const abLenSq = abx * abx + aby * aby;
-    let t = (apx * abx + apy * aby) / abLenSq;
-    t = Math.max(0, Math.min(1, t));
-    return { x: ax + abx * t, y: ay + aby * t };
-}
+// Grab the body under the pointer with a spring that follows the pointer. The pull is
+// capped at 30 g so a grabbed body can't be flung through the others.
+const beginGrab = (event) => {
+    const point = getPointer(event);
+    const body = bodyAt(point);
+    if (!body) return;
+    const force = new GrabForce(body, point, { maxForce: 30 * GRAVITY * body.mass });
+    world.addForceGenerator(force);
+    // Grabbing changes what happens next, so the recorded future no longer applies
+    playback.truncate();
+    grabs.set(event.pointerId, { force, samples: [{ time: event.timeStamp / 1000, ...point }] });
+};
 
-function closestPointOnTriangle(px, py, verts) {
-    let closest = null;
-    let minDistSq = Infinity;
-    for (let i = 0; i < 3; i++) {
-        const v1 = verts[i];
-        const v2 = verts[(i + 1) % 3];
-        const pt = closestPointOnSegment(px, py, v1.x, v1.y, v2.x, v2.y);
-        const dx = px - pt.x;
-        const dy = py - pt.y;
-        const distSq = dx * dx + dy * dy;
-        if (distSq < minDistSq) {
-            minDistSq = distSq;
-            closest = pt;
-        }
+const moveGrab = (event) => {
+    const grab = grabs.get(event.pointerId);
+    if (!grab) return;
+    const point = getPointer(event);
+    const time = event.timeStamp / 1000;
+    grab.force.target = point;
+    grab.samples.push({ time, ...point });
+    grab.samples = grab.samples.filter(sample => time - sample.time <= THROW_SAMPLE_TIME);
+    // A body held still may have fallen asleep
+    world.wake(grab.force.body);
+};
+
+// Let go: the body leaves with the pointer's recent velocity
+const endGrab = (event) => {
+    const grab = grabs.get(event.pointerId);
+    if (!grab) return;
+    grabs.delete(event.pointerId);
+    world.removeForceGenerator(grab.force);
+    const first = grab.samples[0];
+    const last = grab.samples[grab.samples.length - 1];
+    const elapsed = last.time - first.time;
+    const body = grab.force.body;
+    if (event.type === 'pointerup' && elapsed > 0 && event.timeStamp / 1000 - last.time <= THROW_SAMPLE_TIME) {
+        body.vx = (last.x - first.x) / elapsed;
+        body.vy = (last.y - first.y) / elapsed;
     }
-    // Also check if the point is inside the triangle
-    if (typeof TriangleCollider !== 'undefined' && TriangleCollider.pointInTriangle(px, py, ...verts)) {
-        return { x: px, y: py };
+    world.wake(body);
+};
+
+const onPointerDown = (event) => {
+    canvas.setPointerCapture(event.pointerId);
+    // The middle button pans the view, and so does dragging empty space while running
+    if (event.button === 1 || (mode === 'run' && !bodyAt(getPointer(event)))) {
+        event.preventDefault();
+        panning = { pointerId: event.pointerId, last: getScreenPointer(event) };
+        return;
     }
-    return closest;
-}
+    if (mode === 'run') {
+        beginGrab(event);
+        return;
+    }
+    editor.beginDrag(getPointer(event));
+    updatePropertyPanel();
+};
 
-// Simple collision resolution: stop objects from overlapping and zero their velocities
-function resolveCollision(a, b) {
-    // Advanced triangle collision resolution
-    // If a is triangle and b is dynamic
-    if (a.collider && a.collider.type === 'triangle' && b.collider && b.hasGravity) {
-        if (b.collider.type === 'circle') {
-            // Get triangle world vertices
-            const verts = a.collider.vertices.map(v => ({
-                x: a.x + a.collider.offsetX + v.x,
-                y: a.y + a.collider.offsetY + v.y
-            }));
-            const cx = b.x + b.collider.offsetX + b.collider.radius;
-            const cy = b.y + b.collider.offsetY + b.collider.radius;
-            const closest = closestPointOnTriangle(cx, cy, verts);
-            const dx = cx - closest.x;
-            const dy = cy - closest.y;
-            const dist = Math.hypot(dx, dy);
-            const overlap = b.collider.radius - dist;
-            if (overlap > 0) {
-                // Normalized normal
-                const nx = dx / dist;
-                const ny = dy / dist;
-                // Push out
-                b.x += nx * overlap;
-                b.y += ny * overlap;
-                // Reflect velocity (remove normal component, keep tangential)
-                const vDotN = b.vx * nx + b.vy * ny;
-                if (vDotN < 0) {
-                    const damping = 1;
-                    b.vx = (b.vx - vDotN * nx) * damping;
-                    b.vy = (b.vy - vDotN * ny) * damping;
-                }
-            }
-            return;
-        }
-        // For boxes, use the existing behavior
-        if (b.collider.type === 'box') {
-            const center = {
-                x: b.x + b.width / 2,
-                y: b.y + b.height / 2
-            };
-            const normal = a.collider.getClosestSurfaceNormal(center, a);
-            b.x += normal.x * 2;
-            b.y += normal.y * 2;
-            // Zero velocity along the normal
-            const vDotN = b.vx * normal.x + b.vy * normal.y;
-            if (vDotN < 0) {
-                b.vx -= vDotN * normal.x;
-                b.vy -= vDotN * normal.y;
-            }
-            // Set rotation to match the slope (only for boxes)
-            b.rotation = Math.atan2(normal.y, normal.x) - Math.PI / 2;
-            return;
-        }
+const onPointerMove = (event) => {
+    if (panning && panning.pointerId === event.pointerId) {
+        const point = getScreenPointer(event);
+        camera.pan(point.x - panning.last.x, point.y - panning.last.y);
+        panning.last = point;
+        // Panning lets go of a followed body
+        document.querySelector('#follow').value = '';
+        return;
     }
-    // If b is triangle and a is dynamic
-    if (b.collider && b.collider.type === 'triangle' && a.collider && a.hasGravity) {
-        if (a.collider.type === 'circle') {
-            // Get triangle world vertices
-            const verts = b.collider.vertices.map(v => ({
-                x: b.x + b.collider.offsetX + v.x,
-                y: b.y + b.collider.offsetY + v.y
-            }));
-            const cx = a.x + a.collider.offsetX + a.collider.radius;
-            const cy = a.y + a.collider.offsetY + a.collider.radius;
-            const closest = closestPointOnTriangle(cx, cy, verts);
-            const dx = cx - closest.x;
-            const dy = cy - closest.y;
-            const dist = Math.hypot(dx, dy);
-            const overlap = a.collider.radius - dist;
-            if (overlap > 0) {
-                // Normalized normal
-                const nx = dx / dist;
-                const ny = dy / dist;
-                // Push out
-                a.x += nx * overlap;
-                a.y += ny * overlap;
-                // Reflect velocity (remove normal component, keep tangential)
-                const vDotN = a.vx * nx + a.vy * ny;
-                if (vDotN < 0) {
-                    const damping = 1;
-                    a.vx = (a.vx - vDotN * nx) * damping;
-                    a.vy = (a.vy - vDotN * ny) * damping;
-                }
-            }
-            return;
-        }
-        // For boxes, use the existing behavior
-        if (a.collider.type === 'box') {
-            const center = {
-                x: a.x + a.width / 2,
-                y: a.y + a.height / 2
-            };
-            const normal = b.collider.getClosestSurfaceNormal(center, b);
-            a.x += normal.x * 2;
-            a.y += normal.y * 2;
-            // Zero velocity along the normal
-            const vDotN = a.vx * normal.x + a.vy * normal.y;
-            if (vDotN < 0) {
-                a.vx -= vDotN * normal.x;
-                a.vy -= vDotN * normal.y;
-            }
-            // Set rotation to match the slope (only for boxes)
-            a.rotation = Math.atan2(normal.y, normal.x) - Math.PI / 2;
-            return;
-        }
+    if (mode === 'run') moveGrab(event);
+    if (mode !== 'edit' || !editor.drag) return;
+    // Shift snaps rotation to 15 degree steps
+    if (editor.dragTo(getPointer(event), { snap: event.shiftKey })) rebuildWorld();
+};
+
+const onPointerUp = (event) => {
+    if (panning && panning.pointerId === event.pointerId) {
+        panning = null;
+        return;
     }
-    // Default: old box/box, circle/circle, etc
-    // Find the overlap on both axes
-    const overlapX = (a.x + a.width / 2) - (b.x + b.width / 2);
-    const overlapY = (a.y + a.height / 2) - (b.y + b.height / 2);
-    const halfWidths = (a.width + b.width) / 2;
-    const halfHeights = (a.height + b.height) / 2;
-
-    // Only resolve if overlapping
-    if (Math.abs(overlapX) < halfWidths && Math.abs(overlapY) < halfHeights) {
-        // Find the smallest overlap
-        const dx = halfWidths - Math.abs(overlapX);
-        const dy = halfHeights - Math.abs(overlapY);
-        const totalMass = a.mass + b.mass;
-        const aShare = b.mass / totalMass; // Heavier object moves less
-        const bShare = a.mass / totalMass;
-
-        if (dx < dy) {
-            // Resolve along x
-            if (overlapX > 0) {
-                a.x += dx * aShare;
-                b.x -= dx * bShare;
-            } else {
-                a.x -= dx * aShare;
-                b.x += dx * bShare;
-            }
-            a.vx = 0;
-            b.vx = 0;
-        } else {
-            // Resolve along y
-            if (overlapY > 0) {
-                a.y += dy * aShare;
-                b.y -= dy * bShare;
-            } else {
-                a.y -= dy * aShare;
-                b.y += dy * bShare;
-            }
-            a.vy = 0;
-            b.vy = 0;
-        }
+    if (mode === 'run') {
+        endGrab(event);
+        return;
     }
-}
+    editor.endDrag();
+    afterEdit();
+};
 
-const update = () => {
-    // Calculate deltaTime in seconds for smooth physics
-    const deltaTime = tickInterval / 1000; // Fixed timestep for simplicity
-
-    // Apply forces and update physics for each object
-    gameObjects.forEach(obj => {
-        if (obj.hasGravity) {
-            // Clear forces
-            obj.forces = [];
-            // Add gravity as a force
-            obj.forces.push({ x: 0, y: obj.mass * GRAVITY });
-        }
-        // Sum all forces
-        let totalForceX = 0;
-        let totalForceY = 0;
-        for (const force of obj.forces) {
-            totalForceX += force.x;
-            totalForceY += force.y;
-        }
-        // Set acceleration based on total force and mass
-        obj.ax = totalForceX / obj.mass;
-        obj.ay = totalForceY / obj.mass;
-        // Integrate velocity and position
-        obj.vy += obj.ay * deltaTime;
-        obj.vx += obj.ax * deltaTime;
-        obj.x += obj.vx * deltaTime;
-        obj.y += obj.vy * deltaTime;
-
-        // Add rotation based on horizontal velocity for circles
-        if (obj.collider && obj.collider.type === 'circle') {
-            // Angular velocity is linear velocity / radius
-            // Note: rotation increases clockwise in canvas context
-            const angularVelocity = obj.vx / obj.collider.radius;
-            obj.rotation += angularVelocity * deltaTime;
-        }
+const onKeyDown = (event) => {
+    if (event.target.closest('input, select')) return;
+    if (mode === 'run') {
+        onPlaybackKey(event);
+        return;
+    }
+    const command = event.ctrlKey || event.metaKey;
+    if (command && event.key.toLowerCase() === 'z') {
+        if (event.shiftKey) editor.redo();
+        else editor.undo();
+    } else if (command && event.key.toLowerCase() === 'y') {
+        editor.redo();
+    } else if (event.key === 'Delete' || event.key === 'Backspace') {
+        editor.removeSelected();
+    } else {
+        return;
+    }
+    event.preventDefault();
+    afterEdit();
+};
 
-        // Simple ground collision (optional)
-        if (obj.y + obj.height > height) {
-            obj.y = height - obj.height;
-            obj.vy = 0;
-        }
+// Space plays and pauses, the arrow keys step one tick forward or back
+const onPlaybackKey = (event) => {
+    if (event.key === ' ') togglePlaying();
+    else if (event.key === 'ArrowRight') stepForward();
+    else if (event.key === 'ArrowLeft') jumpInTime(() => playback.stepBack());
+    else return;
+    event.preventDefault();
+};
+
+const stepForward = () => {
+    playback.step();
+    updatePlaybackBar();
+};
+
+// Run a playback command that restores an earlier state. Held bodies are let go: the grab
+// forces in the restored state belong to a past drag.
+const jumpInTime = (command) => {
+    command();
+    grabs.clear();
+    world.forceGenerators = world.forceGenerators.filter(generator => !(generator instanceof GrabForce));
+    updatePlaybackBar();
+};
+
+const togglePlaying = () => {
+    playback.playing = !playback.playing;
+    lastTime = null;
+    updatePlaybackBar();
+};
+
+const updatePlaybackBar = () => {
+    document.querySelector('#play').textContent = playback.playing ? 'Pause' : 'Play';
+    const timeline = document.querySelector('#timeline');
+    timeline.min = playback.startTime;
+    timeline.max = playback.endTime;
+    // Leave the slider alone while it is being dragged
+    if (document.activeElement !== timeline) timeline.value = world.time;
+    document.querySelector('#time').textContent = `${world.time.toFixed(2)} s`;
+    document.querySelector('#speed-value').textContent = `${playback.timeScale.toFixed(1)}x`;
+};
+
+// Body picker and pinned-body list of the graph panel, for the current world
+const updateGraphControls = () => {
+    const select = document.querySelector('#graph-body');
+    select.replaceChildren(...world.bodies.map((obj, index) => new Option(obj.name || `body ${index + 1}`, index)));
+    const pinned = document.querySelector('#graph-pinned');
+    pinned.replaceChildren(...graphs.bodies.map(obj => {
+        const button = document.createElement('button');
+        button.textContent = `${obj.name || 'body'} ×`;
+        button.title = 'Unpin';
+        button.style.borderColor = obj.color;
+        button.addEventListener('click', () => {
+            graphs.unpin(obj);
+            updateGraphControls();
+        });
+        return button;
+    }));
+};
+
+const setUpGraphs = () => {
+    document.querySelector('#toggle-graphs').addEventListener('click', () => {
+        graphPanel.hidden = !graphPanel.hidden;
+    });
+    document.querySelector('#toggle-energy').addEventListener('click', () => {
+        showEnergy = !showEnergy;
+    });
+    document.querySelector('#graph-pin').addEventListener('click', () => {
+        const obj = world.bodies[parseInt(document.querySelector('#graph-body').value, 10)];
+        if (!obj) return;
+        graphs.pin(obj);
+        graphs.sample(world);
+        updateGraphControls();
+    });
+    // One checkbox per quantity
+    const list = document.querySelector('#graph-quantities');
+    list.replaceChildren(...Object.entries(quantities).map(([name, quantity]) => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = name;
+        checkbox.checked = graphs.shown.includes(name);
+        label.append(checkbox, ` ${quantity.label}`);
+        return label;
+    }));
+    list.addEventListener('change', () => {
+        graphs.setShown([...list.querySelectorAll('input:checked')].map(input => input.value));
     });
+    updateGraphControls();
+};
 
-    // Check collisions between all pairs
-    for (let i = 0; i < gameObjects.length; i++) {
-        for (let j = i + 1; j < gameObjects.length; j++) {
-            if (isColliding(gameObjects[i], gameObjects[j])) {
-                resolveCollision(gameObjects[i], gameObjects[j]);
-            }
-        }
+const drawGraphs = () => {
+    const dpr = window.devicePixelRatio || 1;
+    const rect = graphCanvas.getBoundingClientRect();
+    if (graphCanvas.width !== Math.round(rect.width * dpr) || graphCanvas.height !== Math.round(rect.height * dpr)) {
+        graphCanvas.width = Math.round(rect.width * dpr);
+        graphCanvas.height = Math.round(rect.height * dpr);
+    }
+    graphCtx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    graphCtx.clearRect(0, 0, rect.width, rect.height);
+    graphs.draw(graphCtx, { x: 0, y: 0, width: rect.width, height: rect.height }, world.time);
+};
+
+// Free-body diagram picker for the current world
+const updateOverlayControls = () => {
+    const select = document.querySelector('#fbd-body');
+    select.replaceChildren(
+        new Option('None', ''),
+        ...world.bodies.map((obj, index) => new Option(obj.name || `body ${index + 1}`, index))
+    );
+    select.value = overlays.focus ? world.bodies.indexOf(overlays.focus) : '';
+};
+
+const setUpOverlays = () => {
+    document.querySelector('#toggle-overlays').addEventListener('click', () => {
+        overlayPanel.hidden = !overlayPanel.hidden;
+    });
+    // Checkboxes are named after the overlay they switch
+    overlayPanel.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+        checkbox.checked = overlays[checkbox.name];
+        checkbox.addEventListener('change', () => {
+            overlays[checkbox.name] = checkbox.checked;
+        });
+    });
+    document.querySelector('#fbd-body').addEventListener('change', (event) => {
+        overlays.focus = event.target.value === '' ? null : world.bodies[parseInt(event.target.value, 10)] || null;
+    });
+    updateOverlayControls();
+};
+
+// Body picker, recorded-body list and status of the recorder panel
+const updateRecorderControls = () => {
+    const select = document.querySelector('#record-body');
+    select.replaceChildren(...world.bodies.map((obj, index) => new Option(obj.name || `body ${index + 1}`, index)));
+    const tracked = document.querySelector('#record-tracked');
+    tracked.replaceChildren(...recorder.bodies.map(obj => {
+        const button = document.createElement('button');
+        button.textContent = `${obj.name || 'body'} ×`;
+        button.title = 'Stop recording this body';
+        button.addEventListener('click', () => {
+            recorder.untrack(obj);
+            updateRecorderControls();
+        });
+        return button;
+    }));
+    updateRecorderStatus();
+};
+
+const updateRecorderStatus = () => {
+    document.querySelector('#record-toggle').textContent = recorder.recording ? 'Stop' : 'Start';
+    document.querySelector('#record-count').textContent = `${recorder.samples.length} samples`;
+};
+
+const setUpRecorder = () => {
+    document.querySelector('#toggle-recorder').addEventListener('click', () => {
+        recorderPanel.hidden = !recorderPanel.hidden;
+    });
+    document.querySelector('#record-add').addEventListener('click', () => {
+        const obj = world.bodies[parseInt(document.querySelector('#record-body').value, 10)];
+        if (!obj) return;
+        recorder.track(obj);
+        updateRecorderControls();
+    });
+    document.querySelector('#record-rate').addEventListener('change', (event) => {
+        const rate = parseFloat(event.target.value);
+        // Anything that isn't a positive rate records every step
+        recorder.setRate(rate > 0 ? rate : 0);
+    });
+    document.querySelector('#record-toggle').addEventListener('click', () => {
+        if (recorder.recording) recorder.stop();
+        else recorder.start(world);
+        updateRecorderStatus();
+    });
+    document.querySelector('#record-csv').addEventListener('click', () => {
+        downloadFile(recorder.toCSV(), 'trajectory.csv', 'text/csv');
+    });
+    document.querySelector('#record-json').addEventListener('click', () => {
+        downloadFile(JSON.stringify(recorder, null, 2), 'trajectory.json', 'application/json');
+    });
+    updateRecorderControls();
+};
+
+const updateExperimentResults = () => {
+    document.querySelector('#experiment-results').textContent = experiment
+        ? experiment.getResults(world).join('\n')
+        : 'Load an experiment to compare the simulation with theory.';
+};
+
+const setUpExperiments = () => {
+    document.querySelector('#toggle-experiments').addEventListener('click', () => {
+        experimentPanel.hidden = !experimentPanel.hidden;
+        updateExperimentResults();
+    });
+    document.querySelector('#experiment-preset').replaceChildren(
+        ...Object.entries(presets).map(([name, preset]) => new Option(preset.title, name))
+    );
+    document.querySelector('#experiment-load').addEventListener('click', async () => {
+        await loadExperiment(document.querySelector('#experiment-preset').value);
+        updateExperimentResults();
+    });
+    updateExperimentResults();
+};
+
+const setUpPlayback = () => {
+    document.querySelector('#play').addEventListener('click', togglePlaying);
+    document.querySelector('#step').addEventListener('click', stepForward);
+    document.querySelector('#step-back').addEventListener('click', () => jumpInTime(() => playback.stepBack()));
+    document.querySelector('#reset').addEventListener('click', () => jumpInTime(() => playback.reset()));
+    document.querySelector('#speed').addEventListener('input', (event) => {
+        playback.setTimeScale(parseFloat(event.target.value));
+        updatePlaybackBar();
+    });
+    document.querySelector('#timeline').addEventListener('input', (event) => {
+        jumpInTime(() => playback.seek(parseFloat(event.target.value)));
+    });
+};
+
+const setUpEditor = () => {
+    document.querySelector('#mode').addEventListener('click', () => setMode(mode === 'edit' ? 'run' : 'edit'));
+    document.querySelectorAll('[data-spawn]').forEach(button => {
+        // New bodies appear in the upper middle of the view
+        button.addEventListener('click', () => {
+            editor.spawn(button.dataset.spawn, camera.toWorld({ x: width / 2, y: height / 3 }));
+            afterEdit();
+        });
+    });
+    document.querySelector('#delete').addEventListener('click', () => {
+        editor.removeSelected();
+        afterEdit();
+    });
+    document.querySelector('#undo').addEventListener('click', () => {
+        editor.undo();
+        afterEdit();
+    });
+    document.querySelector('#redo').addEventListener('click', () => {
+        editor.redo();
+        afterEdit();
+    });
+    propertyPanel.elements.material.replaceChildren(
+        new Option('None', ''),
+        ...Object.keys(materials).map(name => new Option(name[0].toUpperCase() + name.slice(1), name))
+    );
+    propertyPanel.addEventListener('change', (event) => applyProperty(event.target));
+    propertyPanel.addEventListener('submit', (event) => event.preventDefault());
+    canvas.addEventListener('pointerdown', onPointerDown);
+    canvas.addEventListener('pointermove', onPointerMove);
+    canvas.addEventListener('pointerup', onPointerUp);
+    canvas.addEventListener('pointercancel', onPointerUp);
+    window.addEventListener('keydown', onKeyDown);
+};
+
+// Follow picker for the current world
+const updateCameraControls = () => {
+    const select = document.querySelector('#follow');
+    select.replaceChildren(
+        new Option('Free', ''),
+        ...world.bodies.map((obj, index) => new Option(obj.name || `body ${index + 1}`, index))
+    );
+    select.value = camera.follow ? world.bodies.indexOf(camera.follow) : '';
+};
+
+const setUpCamera = () => {
+    canvas.addEventListener('wheel', (event) => {
+        event.preventDefault();
+        camera.zoomAt(getScreenPointer(event), Math.exp(-event.deltaY * ZOOM_SPEED));
+    }, { passive: false });
+    document.querySelector('#fit-view').addEventListener('click', () => {
+        camera.follow = null;
+        camera.fit(world.bounds);
+        updateCameraControls();
+    });
+    document.querySelector('#follow').addEventListener('change', (event) => {
+        camera.follow = event.target.value === '' ? null : world.bodies[parseInt(event.target.value, 10)] || null;
+    });
+    document.querySelector('#toggle-grid').addEventListener('click', () => {
+        showGrid = !showGrid;
+    });
+    updateCameraControls();
+};
+
+const init = async () => {
+    console.log('Initiating simulation...');
+
+    document.querySelector('#scene-file').addEventListener('change', (event) => {
+        if (event.target.files[0]) readSceneFile(event.target.files[0]);
+        event.target.value = '';
+    });
+    document.querySelector('#export-scene').addEventListener('click', downloadScene);
+    setUpEditor();
+    setUpPlayback();
+    setUpGraphs();
+    setUpOverlays();
+    setUpRecorder();
+    setUpCamera();
+    setUpExperiments();
+
+    createDemo();
+    // Pre-load all images before starting the game loop
+    await preloadGameObjectImages();
+    if (params.get('scene')) await fetchScene(params.get('scene'));
+    if (params.get('experiment')) await loadExperiment(params.get('experiment'));
+    // After the scene, whose loading clears the panel; a scene that failed to load keeps it
+    if (urlProblems.length > 0 && errorPanel.hidden) showErrors(urlProblems, 'Ignored URL settings');
+
+    requestAnimationFrame(runUpdateLoop);
+}
+
+const runUpdateLoop = (timestamp) => {
+    // Feed real elapsed time to the fixed-step accumulator; it runs as many ticks as fit
+    const elapsed = lastTime === null ? 0 : (timestamp - lastTime) / 1000;
+    lastTime = timestamp;
+    // Edit mode shows the scene without simulating it
+    const alpha = mode === 'run' ? playback.advance(elapsed) : 1;
+    if (mode === 'run') {
+        updatePlaybackBar();
+        graphs.sample(world);
+        if (!recorderPanel.hidden) updateRecorderStatus();
+        if (!experimentPanel.hidden) updateExperimentResults();
     }
 
-    render();
+    render(alpha);
+    if (!graphPanel.hidden) drawGraphs();
+
+    requestAnimationFrame(runUpdateLoop);
 }
 
-const render = () => {
+const render = (alpha = 1) => {
     // Draw the background
     ctx.fillStyle = backgroundColor;
     ctx.fillRect(0, 0, width, height);
+    camera.update(world, alpha);
+    if (showGrid) camera.drawGrid(ctx, world);
+
+    // The world is drawn through the camera
+    ctx.save();
+    camera.apply(ctx);
+    drawWalls();
+
+    // A free-body diagram fades everything but its body
+    const focus = mode === 'run' ? overlays.focus : null;
+    const fadedAlpha = 0.2;
+    const sensorAlpha = 0.4; // sensors are see-through, since nothing bumps into them
+    ctx.globalAlpha = focus ? fadedAlpha : 1;
+    drawSprings(alpha);
+    drawJoints(alpha);
+
+    world.bodies.forEach(obj => {
+        // Draw each body between its last two physics states so motion stays smooth
+        // when display frames and physics ticks don't line up
+        const pose = { x: obj.x, y: obj.y, rotation: obj.rotation };
+        Object.assign(obj, world.getInterpolatedPose(obj, alpha));
+        ctx.globalAlpha = (focus && obj !== focus ? fadedAlpha : 1) * (obj.collider?.sensor ? sensorAlpha : 1);
 
-    gameObjects.forEach(obj => {
         // Draw the object (rectangle, circle, or triangle)
         if (obj.spriteSrc && loadedImages.has(obj.spriteSrc)) {
             const img = loadedImages.get(obj.spriteSrc);
@@ -351,8 +778,9 @@ const render = () => {
                 // Draw the image centered on the translated point
                 ctx.drawImage(img, -obj.collider.radius, -obj.collider.radius, obj.collider.radius * 2, obj.collider.radius * 2);
             } else if (obj.collider && obj.collider.type === 'box') {
-                // Translate to the center of the box for rotation
-                ctx.translate(obj.x + obj.width / 2, obj.y + obj.height / 2);
+                // Translate to the center of mass of the box for rotation
+                const center = obj.getCenter();
+                ctx.translate(center.x, center.y);
                 // Apply rotation
                 ctx.rotate(obj.rotation || 0);
                 // Draw the image centered on the translated point
@@ -376,67 +804,282 @@ const render = () => {
                     0, Math.PI * 2
                 );
                 ctx.fill();
-            } else if (obj.collider && obj.collider.type === 'triangle') {
-                // Draw triangle
+            } else if (obj.collider && (obj.collider.type === 'triangle' || obj.collider.type === 'polygon')) {
+                // Draw triangle or polygon (world vertices already include rotation)
                 ctx.beginPath();
-                const verts = obj.collider.vertices;
-                ctx.moveTo(obj.x + obj.collider.offsetX + verts[0].x, obj.y + obj.collider.offsetY + verts[0].y);
-                ctx.lineTo(obj.x + obj.collider.offsetX + verts[1].x, obj.y + obj.collider.offsetY + verts[1].y);
-                ctx.lineTo(obj.x + obj.collider.offsetX + verts[2].x, obj.y + obj.collider.offsetY + verts[2].y);
+                const verts = obj.collider.getWorldVertices(obj);
+                ctx.moveTo(verts[0].x, verts[0].y);
+                for (let i = 1; i < verts.length; i++) {
+                    ctx.lineTo(verts[i].x, verts[i].y);
+                }
                 ctx.closePath();
                 ctx.fill();
             } else if (obj.collider && obj.collider.type === 'box') {
-                // Draw rectangle with rotation
+                // Draw the collider rectangle rotated around its center
+                const center = obj.getCenter();
                 ctx.save();
-                ctx.translate(obj.x + obj.width / 2, obj.y + obj.height / 2);
+                ctx.translate(center.x, center.y);
                 ctx.rotate(obj.rotation || 0);
-                ctx.fillRect(-obj.width / 2, -obj.height / 2, obj.width, obj.height);
+                ctx.fillRect(-obj.collider.width / 2, -obj.collider.height / 2, obj.collider.width, obj.collider.height);
                 ctx.restore();
             } else {
                 // Draw rectangle
                 ctx.fillRect(obj.x, obj.y, obj.width, obj.height);
             }
         }
-        // Visualize collider outline (uncomment to enable)
-        // if (obj.collider) {
-        //     ctx.save();
-        //     ctx.strokeStyle = '#00ff00';
-        //     ctx.lineWidth = 2;
-        //     ctx.setLineDash([4, 2]);
-        //     if (obj.collider.type === 'box') {
-        //         ctx.strokeRect(
-        //             obj.x + obj.collider.offsetX,
-        //             obj.y + obj.collider.offsetY,
-        //             obj.collider.width,
-        //             obj.collider.height
-        //         );
-        //     } else if (obj.collider.type === 'circle') {
-        //         ctx.beginPath();
-        //         ctx.arc(
-        //             obj.x + obj.collider.offsetX + obj.collider.radius,
-        //             obj.y + obj.collider.offsetY + obj.collider.radius,
-        //             obj.collider.radius,
-        //             0, Math.PI * 2
-        //         );
-        //         ctx.stroke();
-        //     } else if (obj.collider.type === 'triangle') {
-        //         ctx.beginPath();
-        //         const verts = obj.collider.vertices;
-        //         ctx.moveTo(obj.x + obj.collider.offsetX + verts[0].x, obj.y + obj.collider.offsetY + verts[0].y);
-        //         ctx.lineTo(obj.x + obj.collider.offsetX + verts[1].x, obj.y + obj.collider.offsetY + verts[1].y);
-        //         ctx.lineTo(obj.x + obj.collider.offsetX + verts[2].x, obj.y + obj.collider.offsetY + verts[2].y);
-        //         ctx.closePath();
-        //         ctx.stroke();
-        //     }
-        //     ctx.restore();
-        // }
+        Object.assign(obj, pose);
     });
+    ctx.globalAlpha = 1;
+
+    // Predictions and vectors describe the simulation, so they are left out while editing
+    if (mode === 'run' && experiment) experiment.draw(ctx, world);
+    if (mode === 'run' && overlays.active) overlays.draw(ctx, world, alpha);
+    drawGrabs(alpha);
+    if (mode === 'edit') drawEditorHandles();
+    ctx.restore();
+
+    if (showGrid) camera.drawRulers(ctx, world);
+    if (showEnergy) drawEnergyHud();
 }
 
+// The floor, and whichever walls and ceiling the world has, along the edges of its bounds.
+// With no wall to stop it the floor runs on past the bounds.
+const drawWalls = () => {
+    const visible = camera.getVisibleBounds();
+    const { walls } = world;
+    const { width: boundsWidth, height: boundsHeight } = world.bounds;
+    const left = walls.left ? 0 : visible.minX;
+    const right = walls.right ? boundsWidth : visible.maxX;
+    const top = walls.ceiling ? 0 : visible.minY;
+    const bottom = walls.floor ? boundsHeight : visible.maxY;
+    ctx.save();
+    // Line widths in screen pixels whatever the zoom
+    ctx.lineWidth = 1 / camera.zoom;
+    ctx.strokeStyle = '#333333';
+    ctx.setLineDash([6 / camera.zoom, 6 / camera.zoom]);
+    ctx.strokeRect(0, 0, boundsWidth, boundsHeight);
+    ctx.setLineDash([]);
+    ctx.strokeStyle = '#555555';
+    ctx.lineWidth = 2 / camera.zoom;
+    ctx.beginPath();
+    if (walls.floor) {
+        ctx.moveTo(left, boundsHeight);
+        ctx.lineTo(right, boundsHeight);
+    }
+    if (walls.ceiling) {
+        ctx.moveTo(left, 0);
+        ctx.lineTo(right, 0);
+    }
+    if (walls.left) {
+        ctx.moveTo(0, top);
+        ctx.lineTo(0, bottom);
+    }
+    if (walls.right) {
+        ctx.moveTo(boundsWidth, top);
+        ctx.lineTo(boundsWidth, bottom);
+    }
+    ctx.stroke();
+    ctx.restore();
+};
+
+// Energy and momentum of the world in SI units, with the most recent impacts and the energy
+// each one took
+const drawEnergyHud = () => {
+    const energy = world.energy || world.measureEnergy();
+    const joules = (value) => `${(value / (PPM * PPM)).toFixed(2)} J`;
+    const lines = [
+        `KE ${joules(energy.kinetic)} (translation ${joules(energy.translational)}, rotation ${joules(energy.rotational)})`,
+        `PE ${joules(energy.potential)} (gravity, from the ground)`,
+        `Springs ${joules(energy.elastic)}`,
+        `Total ${joules(energy.total)}`,
+        // Momentum with y pointing up, like the graphs
+        `p = (${(energy.momentum.x / PPM).toFixed(2)}, ${(-energy.momentum.y / PPM).toFixed(2)}) kg·m/s`,
+        'Impacts:',
+        ...world.collisionLog.slice(-5).reverse().map(event => {
+            const names = event.bodies.map(obj => obj.name || 'body').join(' + ');
+            return `  ${event.time.toFixed(2)} s  ${names}  -${joules(event.energyLost)}`;
+        })
+    ];
+    ctx.save();
+    ctx.font = '12px monospace';
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(28, 60, 380, lines.length * 16 + 8);
+    ctx.fillStyle = '#ffffff';
+    lines.forEach((line, i) => ctx.fillText(line, 34, 76 + i * 16));
+    ctx.restore();
+};
+
+// Arrow from the grabbed point to the pointer, labelled with the pull in newtons
+const drawGrabs = (alpha) => {
+    grabs.forEach(({ force }) => {
+        const body = force.body;
+        const from = interpolatePoint(body, force.getPoint(), alpha);
+        const to = force.target;
+        const length = Math.hypot(to.x - from.x, to.y - from.y);
+        const [pull] = force.getForces(body, world);
+        ctx.save();
+        ctx.strokeStyle = '#ff8800';
+        ctx.fillStyle = '#ff8800';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(to.x, to.y);
+        ctx.stroke();
+        if (length > 0) {
+            const ux = (to.x - from.x) / length;
+            const uy = (to.y - from.y) / length;
+            const head = Math.min(10, length);
+            ctx.beginPath();
+            ctx.moveTo(to.x, to.y);
+            ctx.lineTo(to.x - ux * head - uy * head / 2, to.y - uy * head + ux * head / 2);
+            ctx.lineTo(to.x - ux * head + uy * head / 2, to.y - uy * head - ux * head / 2);
+            ctx.closePath();
+            ctx.fill();
+        }
+        ctx.font = '12px sans-serif';
+        ctx.fillText(`F = ${(Math.hypot(pull.x, pull.y) / PPM).toFixed(1)} N`, to.x + 8, to.y - 8);
+        ctx.restore();
+    });
+};
+
+// Outline of the selected body with its resize, rotate and vertex handles
+const drawEditorHandles = () => {
+    const handles = editor.getHandles();
+    if (!handles) return;
+    ctx.save();
+    ctx.strokeStyle = '#00ccff';
+    ctx.fillStyle = '#00ccff';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 3]);
+    ctx.beginPath();
+    handles.outline.forEach((p, i) => i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y));
+    ctx.closePath();
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    // Rotate handle on a stalk from the middle of the top edge
+    const top = { x: (handles.outline[0].x + handles.outline[1].x) / 2, y: (handles.outline[0].y + handles.outline[1].y) / 2 };
+    ctx.beginPath();
+    ctx.moveTo(top.x, top.y);
+    ctx.lineTo(handles.rotate.x, handles.rotate.y);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.arc(handles.rotate.x, handles.rotate.y, 5, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.fillRect(handles.resize.x - 5, handles.resize.y - 5, 10, 10);
+    handles.vertices.forEach(v => {
+        ctx.beginPath();
+        ctx.arc(v.x, v.y, 5, 0, Math.PI * 2);
+        ctx.stroke();
+    });
+    // Center of mass, the point the body rotates around
+    ctx.beginPath();
+    ctx.arc(handles.center.x, handles.center.y, 2, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+};
+
+// A point carried by body, shifted to the body's interpolated pose
+const interpolatePoint = (body, point, alpha) => {
+    if (!body) return point;
+    const pose = world.getInterpolatedPose(body, alpha);
+    return { x: point.x + pose.x - body.x, y: point.y + pose.y - body.y };
+};
+
+// Center of a spring end at the interpolated pose (anchors are fixed points)
+const getSpringEnd = (end, alpha) => {
+    return end.getCenter ? interpolatePoint(end, end.getCenter(), alpha) : end;
+};
+
+// Springs are drawn as a zigzag between their ends
+const drawSprings = (alpha) => {
+    const coils = 12;
+    const amplitude = 6;
+    world.forceGenerators.forEach(generator => {
+        if (!(generator instanceof SpringForce)) return;
+        const a = getSpringEnd(generator.a, alpha);
+        const b = getSpringEnd(generator.b, alpha);
+        const length = Math.hypot(b.x - a.x, b.y - a.y);
+        if (length === 0) return;
+        // Unit normal to the spring axis
+        const nx = -(b.y - a.y) / length;
+        const ny = (b.x - a.x) / length;
+
+        ctx.save();
+        ctx.strokeStyle = '#cccccc';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(a.x, a.y);
+        for (let i = 1; i < coils; i++) {
+            const t = i / coils;
+            const side = i % 2 === 0 ? -amplitude : amplitude;
+            ctx.lineTo(a.x + (b.x - a.x) * t + nx * side, a.y + (b.y - a.y) * t + ny * side);
+        }
+        ctx.lineTo(b.x, b.y);
+        ctx.stroke();
+        ctx.restore();
+    });
+};
+
+const getJointPoint = (end, alpha) => interpolatePoint(end.body, end.getPoint(), alpha);
+
+// Tension label in newtons next to a joint
+const drawTension = (joint, x, y) => {
+    ctx.fillStyle = '#ffffff';
+    ctx.font = '12px sans-serif';
+    ctx.fillText(`T = ${(joint.tension / PPM).toFixed(2)} N`, x + 6, y - 6);
+};
+
+// Rods are solid bars, ropes thin lines, pivots small rings and pulleys wheels with their rope
+const drawJoints = (alpha) => {
+    world.joints.forEach(joint => {
+        ctx.save();
+        ctx.strokeStyle = '#dddddd';
+        if (joint.type === 'distance' || joint.type === 'rope') {
+            const a = getJointPoint(joint.endA, alpha);
+            const b = getJointPoint(joint.endB, alpha);
+            ctx.lineWidth = joint.type === 'distance' ? 3 : 1.5;
+            // A slack rope carries no tension
+            if (joint.type === 'rope' && joint.tension === 0) ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.moveTo(a.x, a.y);
+            ctx.lineTo(b.x, b.y);
+            ctx.stroke();
+            drawTension(joint, (a.x + b.x) / 2, (a.y + b.y) / 2);
+        } else if (joint.type === 'revolute') {
+            const pivot = getJointPoint(joint.endA, alpha);
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(pivot.x, pivot.y, 4, 0, Math.PI * 2);
+            ctx.stroke();
+        } else if (joint.type === 'pulley') {
+            const a = getJointPoint(joint.endA, alpha);
+            const b = getJointPoint(joint.endB, alpha);
+            const wheelRadius = 8;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            ctx.moveTo(a.x, a.y);
+            ctx.lineTo(joint.groundA.x, joint.groundA.y);
+            ctx.lineTo(joint.groundB.x, joint.groundB.y);
+            ctx.lineTo(b.x, b.y);
+            ctx.stroke();
+            [joint.groundA, joint.groundB].forEach(wheel => {
+                ctx.beginPath();
+                ctx.arc(wheel.x, wheel.y, wheelRadius, 0, Math.PI * 2);
+                ctx.stroke();
+            });
+            drawTension(joint, joint.groundA.x + wheelRadius, joint.groundA.y);
+        }
+        ctx.restore();
+    });
+};
+
 function resizeCanvas() {
     const dpr = window.devicePixelRatio || 1;
     width = window.innerWidth;
     height = window.innerHeight;
+    camera.setViewport(width, height);
     canvas.width = width * dpr;
     canvas.height = height * dpr;
     canvas.style.width = width + 'px';
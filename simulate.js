@@ -0,0 +1,94 @@
+// Headless runner: steps a scene without a canvas and writes a trajectory trace.
+// Usage: node simulate.js scene.json [--steps 600] [--dt 0.016667] [--out trace.csv] [--broadphase brute|sap|grid] [--integrator rk4] [--iterations 10] [--stats] [--energy]
+import { readFile, writeFile } from 'node:fs/promises';
+import { loadScene } from './components/Scene.js';
+import { createBroadPhase } from './components/BroadPhase.js';
+import { PPM } from './components/World.js';
+
+const parseArgs = (argv) => {
+    const args = { scene: null, steps: 600, dt: 1 / 60, out: null, broadPhase: null, integrator: null, iterations: null, stats: false, energy: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--steps') args.steps = parseInt(argv[++i], 10);
+        else if (arg === '--dt') args.dt = parseFloat(argv[++i]);
+        else if (arg === '--out') args.out = argv[++i];
+        else if (arg === '--broadphase') args.broadPhase = argv[++i];
+        else if (arg === '--integrator') args.integrator = argv[++i];
+        else if (arg === '--iterations') args.iterations = parseInt(argv[++i], 10);
+        else if (arg === '--stats') args.stats = true;
+        else if (arg === '--energy') args.energy = true;
+        else if (!args.scene) args.scene = arg;
+        else throw new Error(`Unexpected argument: ${arg}`);
+    }
+    if (!args.scene) throw new Error('Usage: node simulate.js scene.json [--steps 600] [--dt 0.016667] [--out trace.csv] [--broadphase brute|sap|grid] [--integrator rk4] [--iterations 10] [--stats] [--energy]');
+    if (!(args.steps >= 0)) throw new Error('--steps must be a non-negative integer');
+    if (!(args.dt > 0)) throw new Error('--dt must be a positive number');
+    if (args.iterations !== null && !(args.iterations > 0)) throw new Error('--iterations must be a positive integer');
+    return args;
+};
+
+const traceRows = (world, step) => world.bodies.map((obj, index) => {
+    const acceleration = world.getAcceleration(obj);
+    return [
+        step,
+        world.time.toFixed(6),
+        obj.name || index,
+        obj.x, obj.y, obj.vx, obj.vy, acceleration.x, acceleration.y, obj.rotation
+    ].join(',');
+});
+
+const main = async () => {
+    const args = parseArgs(process.argv.slice(2));
+    const scene = JSON.parse(await readFile(args.scene, 'utf8'));
+    const world = loadScene(scene);
+    if (args.broadPhase) world.broadPhase = createBroadPhase(args.broadPhase);
+    if (args.integrator) world.integrator = args.integrator;
+    if (args.iterations) world.solverIterations = args.iterations;
+
+    const initialEnergy = world.measureEnergy();
+    let energyLost = 0;
+    let impacts = 0;
+
+    const lines = ['step,time,body,x,y,vx,vy,ax,ay,rotation'];
+    lines.push(...traceRows(world, 0));
+    const totals = { candidatePairs: 0, contacts: 0, collisionTime: 0 };
+    for (let step = 1; step <= args.steps; step++) {
+        world.step(args.dt);
+        lines.push(...traceRows(world, step));
+        totals.candidatePairs += world.stats.candidatePairs;
+        totals.contacts += world.stats.contacts;
+        totals.collisionTime += world.stats.collisionTime;
+        impacts += world.collisionEvents.length;
+        energyLost += world.collisionEvents.reduce((sum, event) => sum + event.energyLost, 0);
+    }
+    if (args.stats) {
+        // Goes to stderr so it never ends up inside a trace printed to stdout
+        console.error(
+            `broad phase ${world.broadPhase.name}: ${totals.candidatePairs} candidate pairs, ` +
+            `${totals.contacts} contacts, ${totals.collisionTime.toFixed(1)} ms in collision detection`
+        );
+    }
+    if (args.energy) {
+        // Total mechanical energy in joules at the start and end, and what impacts took
+        const joules = (energy) => (energy / (PPM * PPM)).toFixed(3);
+        const finalEnergy = world.measureEnergy();
+        const drift = finalEnergy.total - initialEnergy.total;
+        console.error(
+            `energy: ${joules(initialEnergy.total)} J -> ${joules(finalEnergy.total)} J ` +
+            `(change ${joules(drift)} J, ${joules(energyLost)} J lost in ${impacts} impacts)`
+        );
+    }
+    const csv = lines.join('\n') + '\n';
+
+    if (args.out) {
+        await writeFile(args.out, csv);
+        console.log(`Wrote ${args.steps} steps for ${world.bodies.length} bodies to ${args.out}`);
+    } else {
+        process.stdout.write(csv);
+    }
+};
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
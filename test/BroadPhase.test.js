@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import GameObject from '../components/GameObject.js';
+import { BoxCollider, CircleCollider } from '../components/Collider.js';
+import { createBroadPhase } from '../components/BroadPhase.js';
+
+// Small seeded generator (mulberry32), so a failing layout can be reproduced
+const random = (seed) => () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+// Boxes (some rotated), circles and a few long bars spanning many grid cells, partly at
+// negative coordinates, plus a body without a collider
+const layout = (seed, count) => {
+    const next = random(seed);
+    const bodies = [];
+    for (let i = 0; i < count; i++) {
+        const x = next() * 900 - 100;
+        const y = next() * 700 - 100;
+        if (next() < 0.4) {
+            const radius = 5 + next() * 30;
+            bodies.push(new GameObject(x, y, radius * 2, radius * 2, 1, new CircleCollider(0, 0, radius)));
+        } else {
+            const long = next() < 0.1;
+            const width = long ? 200 + next() * 300 : 10 + next() * 60;
+            const height = 10 + next() * 60;
+            const obj = new GameObject(x, y, width, height, 1, new BoxCollider(0, 0, width, height));
+            if (next() < 0.5) obj.rotation = next() * Math.PI;
+            bodies.push(obj);
+        }
+    }
+    bodies.push(new GameObject(300, 300, 30, 30, 1, null));
+    return bodies;
+};
+
+const overlap = (a, b) => {
+    const p = a.collider.getBounds(a);
+    const q = b.collider.getBounds(b);
+    return p.minX <= q.maxX && p.maxX >= q.minX && p.minY <= q.maxY && p.maxY >= q.minY;
+};
+
+test('sweep and prune, the grid and brute force find the same pairs', () => {
+    [1, 2, 3, 42, 1234].forEach(seed => {
+        const bodies = layout(seed, 120);
+        const indices = (pairs) => pairs.map(([a, b]) => [bodies.indexOf(a), bodies.indexOf(b)]);
+        // Brute force returns every pair; the ones whose bounds overlap are what the others must find
+        const expected = indices(createBroadPhase('brute').getPairs(bodies).filter(([a, b]) => overlap(a, b)));
+        assert.ok(expected.length > 20, `seed ${seed}: only ${expected.length} overlapping pairs`);
+        assert.deepEqual(indices(createBroadPhase('sap').getPairs(bodies)), expected, `sap, seed ${seed}`);
+        assert.deepEqual(indices(createBroadPhase('grid').getPairs(bodies)), expected, `grid, seed ${seed}`);
+    });
+});
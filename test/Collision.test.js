@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import GameObject from '../components/GameObject.js';
+import World from '../components/World.js';
+import { BoxCollider, CircleCollider, Collider } from '../components/Collider.js';
+import { collide } from '../components/Collision.js';
+
+// Adding 0 turns -0 into 0, so normals compare by value
+const plain = (v) => ({ x: v.x + 0, y: v.y + 0 });
+
+const box = (x, y, width, height) => new GameObject(x, y, width, height, 1, new BoxCollider(0, 0, width, height));
+
+test('boxes overlapping at a face get the depth of the overlap', () => {
+    const manifold = collide(box(0, 0, 40, 40), box(30, 5, 40, 40));
+    assert.deepEqual(plain(manifold.normal), { x: 1, y: 0 });
+    assert.equal(manifold.depth, 10);
+});
+
+test('a projection containing the other gives the depth needed to separate them', () => {
+    // A cross: the horizontal bar's projection on x contains the vertical bar's, and the
+    // vertical bar's projection on y contains the horizontal bar's
+    const a = box(100, 190, 200, 20);
+    const b = box(140, 150, 20, 120);
+    const manifold = collide(a, b);
+    assert.equal(manifold.depth, 60);
+    // Moving b down by 60 clears a
+    assert.deepEqual(plain(manifold.normal), { x: 0, y: 1 });
+    // The contact points are on a, within the contact margin
+    const verts = a.collider.getWorldVertices(a);
+    manifold.points.forEach(point => {
+        const inside = [-1, 0, 1].some(dx => Collider.pointInConvexPolygon(point.x + dx, point.y, verts));
+        assert.ok(inside, `(${point.x}, ${point.y}) is outside a`);
+    });
+});
+
+test('separated boxes do not collide', () => {
+    assert.equal(collide(box(0, 0, 40, 40), box(41, 0, 40, 40)), null);
+});
+
+test('a fast circle stops at a thin static wall instead of passing through it', () => {
+    // 200 pixels per step against a wall 4 pixels thick
+    const shoot = (ccdMotionThreshold) => {
+        const world = new World({ gravity: { x: 0, y: 0 }, ccdMotionThreshold });
+        const wall = box(400, 0, 4, 600);
+        wall.bodyType = 'static';
+        const ball = new GameObject(100, 290, 20, 20, 1, new CircleCollider(0, 0, 10));
+        ball.vx = 12000;
+        world.add(wall, ball);
+        for (let i = 0; i < 30; i++) world.step(1 / 60);
+        return ball.getCenter().x;
+    };
+    const x = shoot(undefined);
+    assert.ok(x < 400, `the ball ended up at x = ${x}`);
+    // Without sweeping, the same shot tunnels
+    assert.ok(shoot(Infinity) > 404);
+});
@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import GameObject from '../components/GameObject.js';
+import World, { GRAVITY } from '../components/World.js';
+import { loadScene } from '../components/Scene.js';
+import { BoxCollider, CircleCollider } from '../components/Collider.js';
+
+const near = (actual, expected, tolerance, label) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual} instead of ${expected}`);
+};
+
+const run = (world, seconds) => {
+    for (let i = 0; i < Math.round(seconds * 60); i++) world.step(1 / 60);
+};
+
+// Two balls meeting head-on along x, away from the floor and each other's spin
+const headOn = (massA, vA, massB, vB, restitution) => {
+    const world = new World({ gravity: { x: 0, y: 0 } });
+    const a = new GameObject(200, 290, 20, 20, massA, new CircleCollider(0, 0, 10));
+    const b = new GameObject(400, 290, 20, 20, massB, new CircleCollider(0, 0, 10));
+    a.vx = vA;
+    b.vx = vB;
+    a.restitution = b.restitution = restitution;
+    world.add(a, b);
+    run(world, 1);
+    return [a, b];
+};
+
+test('a collision conserves momentum and separates the bodies at restitution times their closing speed', () => {
+    const [a, b] = headOn(1, 200, 3, -100, 0.5);
+    near(a.vx * 1 + b.vx * 3, 200 - 300, 1e-9, 'momentum');
+    near(b.vx - a.vx, 0.5 * 300, 1e-6, 'separating speed');
+    near(a.vy, 0, 1e-9, 'a.vy');
+    near(b.vy, 0, 1e-9, 'b.vy');
+});
+
+test('equal masses swap velocities when the collision is elastic and move on together when it is not', () => {
+    const [a, b] = headOn(2, 300, 2, 0, 1);
+    near(a.vx, 0, 1e-6, 'elastic a.vx');
+    near(b.vx, 300, 1e-6, 'elastic b.vx');
+    const [c, d] = headOn(2, 300, 2, 0, 0);
+    near(c.vx, 150, 1e-6, 'inelastic c.vx');
+    near(d.vx, 150, 1e-6, 'inelastic d.vx');
+});
+
+// A block resting on a 30° ramp, both surfaces with the given friction coefficients
+const onIncline = (staticFriction, kineticFriction) => loadScene({
+    bodies: [
+        {
+            name: 'incline', x: 100, y: 253.6, width: 600, height: 346.4, bodyType: 'static', staticFriction, kineticFriction,
+            collider: { type: 'triangle', vertices: [{ x: 0, y: 0 }, { x: 0, y: 346.4 }, { x: 600, y: 346.4 }] }
+        },
+        {
+            name: 'block', x: 292.5, y: 341.08, width: 30, height: 30, mass: 2, rotation: Math.PI / 6, staticFriction, kineticFriction,
+            collider: { type: 'box', width: 30, height: 30 }
+        }
+    ]
+});
+
+test('a block holds on an incline while tan θ < μs and slides at g (sin θ - μk cos θ) once it is not', () => {
+    // tan 30° = 0.577
+    const holding = onIncline(0.6, 0.5);
+    const block = holding.bodies[1];
+    const start = block.getCenter();
+    run(holding, 1);
+    const end = block.getCenter();
+    assert.ok(Math.hypot(end.x - start.x, end.y - start.y) < 0.1, `slid to (${end.x}, ${end.y})`);
+
+    const sliding = onIncline(0.55, 0.5);
+    const slider = sliding.bodies[1];
+    run(sliding, 1);
+    const angle = Math.PI / 6;
+    near(Math.hypot(slider.vx, slider.vy), GRAVITY * (Math.sin(angle) - 0.5 * Math.cos(angle)), 1, 'speed after 1 s');
+    // Down the slope, not off it
+    near(Math.atan2(slider.vy, slider.vx), angle, 1e-3, 'direction');
+});
+
+test('a torque spins a body up at torque over its moment of inertia', () => {
+    const world = new World({ gravity: { x: 0, y: 0 } });
+    const box = new GameObject(200, 300, 40, 20, 2, new BoxCollider(0, 0, 40, 20));
+    world.add(box);
+    // m (w² + h²) / 12
+    near(box.inertia, 2 * (40 * 40 + 20 * 20) / 12, 1e-9, 'inertia');
+    // A couple: 100 across each end, turning with the box, for a torque of -4000 and no net force
+    for (let i = 0; i < 30; i++) {
+        const center = box.getCenter();
+        const cos = Math.cos(box.rotation);
+        const sin = Math.sin(box.rotation);
+        box.applyForce(100 * sin, -100 * cos, { x: center.x + 20 * cos, y: center.y + 20 * sin });
+        box.applyForce(-100 * sin, 100 * cos, { x: center.x - 20 * cos, y: center.y - 20 * sin });
+        world.step(1 / 60);
+    }
+    near(box.angularVelocity, -4000 / box.inertia * 0.5, 1e-9, 'angular velocity after 0.5 s');
+    assert.deepEqual(box.getCenter(), { x: 220, y: 310 });
+});
+
+test('a blow off the center of mass sets a body spinning and conserves angular momentum', () => {
+    const world = new World({ gravity: { x: 0, y: 0 } });
+    const bar = new GameObject(400, 200, 10, 100, 3, new BoxCollider(0, 0, 10, 100));
+    const ball = new GameObject(300, 205, 20, 20, 1, new CircleCollider(0, 0, 10));
+    ball.vx = 300;
+    ball.restitution = bar.restitution = 0.5;
+    world.add(bar, ball);
+    // About the origin: spin plus the moment of each body's momentum
+    const angularMomentum = () => world.bodies.reduce((sum, obj) => {
+        const center = obj.getCenter();
+        return sum + obj.inertia * obj.angularVelocity + obj.mass * (center.x * obj.vy - center.y * obj.vx);
+    }, 0);
+    const before = angularMomentum();
+    run(world, 1);
+    // Struck above its center, the bar turns clockwise
+    assert.ok(bar.angularVelocity > 1, `bar spins at ${bar.angularVelocity} rad/s`);
+    near(angularMomentum(), before, Math.abs(before) * 1e-3, 'angular momentum');
+    near(bar.mass * bar.vx + ball.mass * ball.vx, 300, 1e-9, 'momentum');
+});
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import GameObject from '../components/GameObject.js';
+import World from '../components/World.js';
+import { BoxCollider, CircleCollider } from '../components/Collider.js';
+
+const platform = (x, y, width, height) => {
+    const obj = new GameObject(x, y, width, height, 1, new BoxCollider(0, 0, width, height));
+    obj.bodyType = 'static';
+    return obj;
+};
+
+const ball = (x, y, radius = 10) => new GameObject(x, y, radius * 2, radius * 2, 1, new CircleCollider(0, 0, radius));
+
+// Records each callback a body gets as [name, other, event]
+const listen = (obj) => {
+    const calls = [];
+    ['onCollisionEnter', 'onCollisionStay', 'onCollisionExit'].forEach(name => {
+        obj[name] = (event) => calls.push([name, event.other, event]);
+    });
+    return calls;
+};
+
+const run = (world, seconds) => {
+    for (let i = 0; i < Math.round(seconds * 60); i++) world.step(1 / 60);
+};
+
+test('a body landing and taking off again gets enter, then stay every step, then exit', () => {
+    const world = new World();
+    const ground = platform(300, 400, 200, 20);
+    const falling = ball(390, 300);
+    world.add(ground, falling);
+    const calls = listen(falling);
+    const groundCalls = listen(ground);
+    run(world, 1);
+    world.wake(falling);
+    falling.vy = -300;
+    run(world, 0.2);
+
+    const names = calls.map(([name]) => name);
+    assert.equal(names[0], 'onCollisionEnter');
+    assert.equal(names[names.length - 1], 'onCollisionExit');
+    assert.ok(names.length > 20, `only ${names.length} callbacks`);
+    names.slice(1, -1).forEach(name => assert.equal(name, 'onCollisionStay'));
+    calls.forEach(([, other]) => assert.equal(other, ground));
+    // The ground is on the other side of the same contact
+    assert.deepEqual(groundCalls.map(([name]) => name), names);
+    const [, , event] = calls[1];
+    const [, , groundEvent] = groundCalls[1];
+    assert.equal(groundEvent.other, falling);
+    assert.ok(event.normal.y < -0.99 && groundEvent.normal.y > 0.99);
+    assert.ok(event.normalImpulse > 0 && !event.sensor);
+});
+
+test('a sensor reports a body passing through it without slowing it down', () => {
+    const world = new World();
+    const zone = platform(300, 300, 200, 40);
+    zone.collider.sensor = true;
+    const falling = ball(390, 200);
+    const free = ball(590, 200);
+    world.add(zone, falling, free);
+    const calls = listen(falling);
+    run(world, 0.7);
+
+    assert.deepEqual([...new Set(calls.map(([name]) => name))], ['onCollisionEnter', 'onCollisionStay', 'onCollisionExit']);
+    calls.forEach(([, other, event]) => {
+        assert.equal(other, zone);
+        assert.ok(event.sensor && event.normalImpulse === 0);
+    });
+    // Fell exactly like the ball beside it that never touched the sensor
+    assert.equal(falling.y, free.y);
+    assert.equal(falling.vy, free.vy);
+    assert.ok(falling.y > 340);
+});
+
+test('bodies only collide when each one\'s mask includes the other\'s layer', () => {
+    const world = new World();
+    const ground = platform(300, 400, 300, 20);
+    ground.collisionMask = 1;
+    const solid = ball(340, 300);
+    const ghost = ball(440, 300);
+    ghost.collisionLayer = 2;
+    world.add(ground, solid, ghost);
+    const solidCalls = listen(solid);
+    const ghostCalls = listen(ghost);
+    run(world, 1);
+
+    assert.ok(solidCalls.length > 0 && solid.y + solid.height < 402, `solid ball at y = ${solid.y}`);
+    assert.ok(ghostCalls.every(([, other]) => other !== ground));
+    assert.ok(ghost.y > 420, `ghost ball at y = ${ghost.y}`);
+});
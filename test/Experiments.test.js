@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Experiment } from '../components/Experiments.js';
+import { loadScene } from '../components/Scene.js';
+
+const run = (experiment, world, seconds) => {
+    const end = world.time + seconds;
+    while (world.time < end - 1e-9) {
+        world.step(world.fixedTimestep);
+        experiment.observe(world);
+    }
+};
+
+test('the projectile readout measures its flight from the run', () => {
+    const experiment = new Experiment('projectile');
+    const world = loadScene(experiment.scene);
+    run(experiment, world, 1.5);
+    const extras = experiment.getExtras(world);
+    ['Flight time', 'Range', 'Peak height'].forEach(label => {
+        const extra = extras.find(other => other.label === label);
+        assert.ok(Math.abs(extra.simulated - extra.theory) / extra.theory < 0.03, `${label}: ${extra.simulated} vs ${extra.theory}`);
+    });
+});
+
+test('rewinding forgets what was measured after the rewound-to time', () => {
+    const experiment = new Experiment('projectile');
+    const world = loadScene(experiment.scene);
+    run(experiment, world, 0.5);
+    const state = world.saveState();
+    run(experiment, world, 1.5);
+    assert.notEqual(experiment.measured.landing, undefined);
+    world.restoreState(state);
+    run(experiment, world, 1 / 60);
+    assert.equal(experiment.measured.landing, undefined);
+    assert.equal(experiment.captured.size, 0);
+    assert.ok(experiment.errors.get('ball').time < 0.6);
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import GameObject from '../components/GameObject.js';
+import World from '../components/World.js';
+import { ImpulseForce } from '../components/ForceGenerators.js';
+
+// A 1 kg body floating free, so only the impulse changes its momentum
+const createWorld = () => {
+    const world = new World({ gravity: { x: 0, y: 0 }, walls: { floor: false } });
+    const body = new GameObject(100, 100, 30, 30, 1);
+    world.add(body);
+    return { world, body };
+};
+
+const deliver = (impulse, duration, stepsBefore, deltaTime = 1 / 60) => {
+    const { world, body } = createWorld();
+    for (let i = 0; i < stepsBefore; i++) world.step(deltaTime);
+    world.addForceGenerator(new ImpulseForce(body, impulse, duration));
+    for (let i = 0; i < 60; i++) world.step(deltaTime);
+    return { x: body.mass * body.vx, y: body.mass * body.vy };
+};
+
+test('an impulse spread over a whole number of steps delivers exactly the impulse', () => {
+    const momentum = deliver({ x: 100, y: 0 }, 0.1, 0);
+    assert.ok(Math.abs(momentum.x - 100) < 1e-9, `delivered ${momentum.x}`);
+});
+
+test('an impulse whose duration ends inside a step delivers exactly the impulse', () => {
+    const momentum = deliver({ x: 100, y: -50 }, 0.25, 10);
+    assert.ok(Math.abs(momentum.x - 100) < 1e-9, `delivered ${momentum.x}`);
+    assert.ok(Math.abs(momentum.y + 50) < 1e-9, `delivered ${momentum.y}`);
+});
+
+test('an impulse shorter than a step delivers exactly the impulse', () => {
+    const momentum = deliver({ x: 30, y: 0 }, 0.005, 3);
+    assert.ok(Math.abs(momentum.x - 30) < 1e-9, `delivered ${momentum.x}`);
+});
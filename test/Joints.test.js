@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScene } from '../components/Scene.js';
+
+// An Atwood machine whose light mass is pulled all the way up to its wheel
+const scene = {
+    world: { bounds: { width: 800, height: 600 } },
+    bodies: [
+        { name: 'heavy', x: 335, y: 300, mass: 3, collider: { type: 'box', width: 30, height: 30 } },
+        { name: 'light', x: 435, y: 300, mass: 1, collider: { type: 'box', width: 30, height: 30 } }
+    ],
+    joints: [{ type: 'pulley', a: 'heavy', b: 'light', groundA: { x: 350, y: 100 }, groundB: { x: 450, y: 100 } }]
+};
+
+test('a pulley anchor pulled up to its wheel stops there', () => {
+    const world = loadScene(scene);
+    const light = world.bodies.find(obj => obj.name === 'light');
+    for (let i = 0; i < 120; i++) world.step(1 / 60);
+    // Stopped just below the wheel, at rest rather than jittering
+    const samples = [];
+    for (let i = 0; i < 60; i++) {
+        world.step(1 / 60);
+        samples.push({ y: light.getCenter().y, vy: light.vy });
+    }
+    samples.forEach(({ y, vy }) => {
+        assert.ok(y >= 100 && y < 102, `center at y = ${y}`);
+        assert.ok(Math.abs(vy) < 1e-6, `vy = ${vy}`);
+    });
+});
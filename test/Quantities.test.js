@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { loadScene } from '../components/Scene.js';
+import { quantities } from '../components/Quantities.js';
+import { Recorder } from '../components/Recorder.js';
+import GameObject from '../components/GameObject.js';
+import World from '../components/World.js';
+import { BoxCollider } from '../components/Collider.js';
+
+test('a body resting on the floor has no acceleration', () => {
+    const world = new World({ allowSleep: false });
+    const box = new GameObject(100, world.bounds.height - 30, 30, 30, 2, new BoxCollider(0, 0, 30, 30));
+    world.add(box);
+    for (let i = 0; i < 30; i++) world.step(1 / 60);
+    assert.ok(Math.abs(quantities.ay.get(box, world)) < 1e-6, `ay = ${quantities.ay.get(box, world)}`);
+});
+
+test('graphs and recordings agree on the acceleration of the Atwood masses', async () => {
+    const world = loadScene(JSON.parse(await readFile(new URL('../scenes/atwood.json', import.meta.url), 'utf8')));
+    const heavy = world.bodies.find(obj => obj.name === 'heavy');
+    const recorder = new Recorder();
+    recorder.track(heavy);
+    recorder.start(world);
+    for (let i = 0; i < 20; i++) {
+        world.step(1 / 60);
+        recorder.sample(world);
+    }
+    // (m1 - m2) g / (m1 + m2) = 4.9 m/s² downwards
+    const ay = quantities.ay.get(heavy, world);
+    assert.ok(Math.abs(ay + 4.9) < 0.05, `ay = ${ay}`);
+    assert.equal(recorder.samples[recorder.samples.length - 1].ay, ay);
+});
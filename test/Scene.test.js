@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { loadScene, exportScene, sceneToMeters } from '../components/Scene.js';
+import { validateScene } from '../components/SceneValidation.js';
+
+const readScene = async (name) => JSON.parse(await readFile(new URL(`../scenes/${name}`, import.meta.url), 'utf8'));
+
+test('a kinematic body exported mid-path carries on along its path when loaded again', async () => {
+    const world = loadScene(await readScene('kinematic.json'));
+    for (let i = 0; i < 137; i++) world.step(1 / 60);
+    const copy = loadScene(sceneToMeters(exportScene(world)));
+    const lift = world.bodies.find(obj => obj.name === 'lift');
+    const copied = copy.bodies.find(obj => obj.name === 'lift');
+    for (let i = 0; i < 60; i++) {
+        world.step(1 / 60);
+        copy.step(1 / 60);
+        assert.ok(Math.abs(copied.vy - lift.vy) < 1e-6, `vy ${copied.vy} instead of ${lift.vy}`);
+        assert.ok(Math.abs(copied.getCenter().y - lift.getCenter().y) < 1e-6);
+    }
+});
+
+test('a body on a path starts where the path puts it', async () => {
+    const scene = await readScene('kinematic.json');
+    const lift = scene.bodies.find(data => data.name === 'lift');
+    lift.x += 3;
+    lift.path.time = 1.5;
+    const center = loadScene(scene).bodies.find(obj => obj.name === 'lift').getCenter();
+    // 1.5 m up from the first point at 1 m/s
+    assert.ok(Math.abs(center.x - 200) < 1e-9 && Math.abs(center.y - 620) < 1e-9, `center at (${center.x}, ${center.y})`);
+});
+
+test('a triangle collider with collinear vertices is rejected', () => {
+    const triangle = (vertices) => ({
+        bodies: [{ x: 0, y: 0, width: 40, height: 40, collider: { type: 'triangle', vertices } }]
+    });
+    assert.deepEqual(validateScene(triangle([{ x: 0, y: 0 }, { x: 20, y: 20 }, { x: 40, y: 40 }])), [
+        "bodies[0].collider.vertices: the triangle's vertices must not be collinear"
+    ]);
+    assert.deepEqual(validateScene(triangle([{ x: 0, y: 40 }, { x: 20, y: 0 }, { x: 40, y: 40 }])), []);
+});
+
+test('a material gives a body the mass of its density, unless the scene gives a mass', () => {
+    const crate = { x: 1, y: 1, width: 0.3, height: 0.3, material: 'wood', collider: { type: 'box', width: 0.3, height: 0.3 } };
+    const scene = {
+        units: 'm',
+        bodies: [
+            { ...crate, name: 'derived' },
+            { ...crate, name: 'given', mass: 2 },
+            { ...crate, name: 'dense', density: 1200 }
+        ]
+    };
+    const [derived, given, dense] = loadScene(scene).bodies;
+    // 0.3 m × 0.3 m × 0.1 m of wood at 600 kg/m³
+    assert.ok(Math.abs(derived.mass - 5.4) < 1e-9, `mass ${derived.mass}`);
+    assert.equal(derived.staticFriction, 0.5);
+    assert.equal(given.mass, 2);
+    assert.equal(given.restitution, 0.4);
+    assert.ok(Math.abs(dense.mass - 10.8) < 1e-9, `mass ${dense.mass}`);
+});
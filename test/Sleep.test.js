@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { loadScene } from '../components/Scene.js';
+
+const readScene = async (name) => JSON.parse(await readFile(new URL(`../scenes/${name}`, import.meta.url), 'utf8'));
+
+const run = (world, seconds) => {
+    for (let i = 0; i < Math.round(seconds * 60); i++) world.step(1 / 60);
+};
+
+test('a stack of boxes settles in place and every box goes to sleep', async () => {
+    const world = loadScene(await readScene('tower.json'));
+    const start = world.bodies.map(obj => obj.x);
+    run(world, 5);
+    world.bodies.forEach((obj, i) => {
+        assert.ok(obj.sleeping, `${obj.name} is awake`);
+        assert.ok(Math.abs(obj.x - start[i]) < 1, `${obj.name} slid from x = ${start[i]} to ${obj.x}`);
+        // Resting on the box below (or the floor), overlapping it by no more than the slop
+        const below = i === 0 ? world.bounds.height : world.bodies[i - 1].y;
+        const overlap = obj.y + obj.height - below;
+        assert.ok(overlap >= 0 && overlap < world.penetrationSlop + 0.1, `${obj.name} overlaps by ${overlap}`);
+    });
+});
+
+test('a falling body wakes the sleeping box it lands on', () => {
+    const world = loadScene({
+        bodies: [
+            { name: 'box', x: 385, y: 570, width: 30, height: 30, mass: 1, collider: { type: 'box', width: 30, height: 30 } },
+            { name: 'ball', x: 390, y: 100, width: 20, height: 20, mass: 1, collider: { type: 'circle', radius: 10 } }
+        ]
+    });
+    const [box, ball] = world.bodies;
+    run(world, 0.8);
+    assert.ok(box.sleeping && !ball.sleeping);
+    let woke = false;
+    for (let i = 0; i < 60; i++) {
+        world.step(1 / 60);
+        woke = woke || !box.sleeping;
+    }
+    assert.ok(woke, 'the box slept through the impact');
+    assert.ok(ball.y + 20 < box.y + 1, 'the ball passed through the box');
+});
+
+test('bodies joined by a joint go to sleep together', () => {
+    const world = loadScene({
+        bodies: [
+            { name: 'resting', x: 300, y: 570, width: 30, height: 30, mass: 1, collider: { type: 'box', width: 30, height: 30 } },
+            { name: 'falling', x: 400, y: 300, width: 30, height: 30, mass: 1, collider: { type: 'box', width: 30, height: 30 } }
+        ],
+        joints: [{ type: 'rope', a: 'resting', b: 'falling', length: 400 }]
+    });
+    const [resting, falling] = world.bodies;
+    let asleep = null;
+    for (let i = 0; i < 300 && asleep === null; i++) {
+        world.step(1 / 60);
+        assert.equal(resting.sleeping, falling.sleeping, `only one body asleep at ${world.time} s`);
+        if (resting.sleeping) asleep = world.time;
+    }
+    assert.ok(asleep !== null, 'the bodies never went to sleep');
+    // On its own the resting box sleeps just after timeToSleep; tied to the falling one it
+    // stays awake until that one has landed and stayed still as long
+    assert.ok(asleep > 2 * world.timeToSleep, `asleep at ${asleep} s`);
+});
+
+test('a sleeping body struck by one that stops dead wakes and moves off', () => {
+    // Equal masses, elastic: the whole velocity passes to the sleeping ball in one step
+    const world = loadScene({
+        world: { gravity: { x: 0, y: 0 } },
+        bodies: [
+            { name: 'striker', x: 100, y: 290, width: 20, height: 20, mass: 1, vx: 300, restitution: 1, collider: { type: 'circle', radius: 10 } },
+            { name: 'target', x: 400, y: 290, width: 20, height: 20, mass: 1, restitution: 1, collider: { type: 'circle', radius: 10 } }
+        ]
+    });
+    const [striker, target] = world.bodies;
+    run(world, 0.9);
+    assert.ok(target.sleeping && striker.x + 20 < target.x);
+    run(world, 0.5);
+    assert.ok(!target.sleeping, 'the target slept through the impact');
+    assert.ok(Math.abs(target.vx - 300) < 1e-6, `target.vx = ${target.vx}`);
+});